@@ -1,24 +1,84 @@
+const { net } = require("electron");
 const pjson = require("../../package.json");
 const Appsignal = require("@appsignal/javascript").default;
+const { writeLogEntry, LOG_LEVELS } = require("./logFile");
+const { enqueueError, setErrorSender } = require("./errorQueue");
 const { store } = require("./store");
 
+const APPSIGNAL_PUSH_URL = "https://appsignal-endpoint.net/collect";
+
 class Logger {
     appsignal = null;
+    appsignalKey = null;
 
     setAppsignalKey(key){
         this.appsignal = new Appsignal({ key: key, revision: pjson.version });
+        this.appsignalKey = key;
+
+        setErrorSender((error, span) => this.pushError(error, span));
+    }
+
+    /*
+     *   Sends an error to AppSignal, and rejects unless AppSignal accepted it
+     *
+     *   Appsignal#sendError never rejects. A report that could not be sent is moved to the in-memory queue of the
+     *   client, and is lost on reboot. So the span is built by the client, but posted here, through the proxy of the
+     *   session, and the error queue only drops reports that were delivered.
+     */
+    async pushError(error, span){
+        const appsignalSpan = this.appsignal.createSpan((appsignalSpan) => {
+            appsignalSpan.setError(error);
+            appsignalSpan.setAction(span.action);
+            appsignalSpan.setNamespace(span.namespace);
+            appsignalSpan.setTags(span.tags);
+        });
+        const query = new URLSearchParams({ api_key: this.appsignalKey, version: this.appsignal.VERSION });
+
+        const response = await net.fetch(`${APPSIGNAL_PUSH_URL}?${query}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: appsignalSpan.toJSON(),
+        });
+
+        if (!response.ok) {
+            throw new Error(`AppSignal responded with HTTP ${response.status}`);
+        }
+    }
+
+    setLogLevel(level){
+        if (LOG_LEVELS.includes(level)) {
+            store.set("logLevel", level);
+        }
+    }
+
+    debug(message, namespace, fields){
+        this.log("debug", message, namespace, fields)
+    }
+
+    info(message, namespace, fields){
+        this.log("info", message, namespace, fields)
+    }
+
+    warn(message, namespace, fields){
+        this.log("warn", message, namespace, fields)
+    }
+
+    /*
+     *   Writes a structured entry to the log file, if the level is at or above the configured log level
+     */
+    log(level, message, namespace, fields){
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(store.get("logLevel", "info"))) return;
+
+        console.log(`${namespace} - ${message}`)
+        writeLogEntry({ level: level, namespace: namespace, message: String(message), ...fields });
     }
 
     logError(message, action, namespace, tags){
         console.error(`${namespace}:${action} - ${message}`)
+        writeLogEntry({ level: "error", namespace: namespace, action: action, message: String(message), ...tags });
 
-        if(this.appsignal) {
-            this.appsignal.sendError(message, (span) => {
-                span.setAction(action);
-                span.setNamespace(namespace);
-                span.setTags(Object.assign({ host: store.get("host") }, tags || {}));
-            });
-        }
+        /* Reports are queued on disk and sent when the device is online, see errorQueue.js */
+        enqueueError({ error: message, action: action, namespace: namespace, tags: Object.assign({ host: store.get("host") }, tags || {}) });
     }
 }
 
@@ -0,0 +1,290 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const quote = require("shell-quote/quote");
+
+const { runCommand } = require("./command");
+const { logger } = require("./appsignal");
+const { store, validateSetting } = require("./store");
+
+const DEFAULT_AUDIO_SETTINGS = { volume: 100, muted: false, output: "auto" };
+
+const audio = (module.exports = {
+    /**
+     * Returns the stored audio settings, with defaults for the settings that have not been set.
+     *
+     * @returns {object} The audio settings:
+     *   - `volume` {number}: The volume, from 0 to 100.
+     *   - `muted` {boolean}: Whether the output is muted.
+     *   - `output` {string}: `hdmi`, `analog`, or `auto` to leave the choice to the system.
+     */
+    getAudioSettings() {
+        return { ...DEFAULT_AUDIO_SETTINGS, ...store.get("audio", {}) };
+    },
+
+    /**
+     * Applies the stored audio settings. Called on startup, so the settings persist across reboots.
+     *
+     * Only settings that have been set from the player are applied, so a device that never had its audio set
+     * keeps the volume set on the system.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async applyAudioSettings() {
+        const settings = store.get("audio", {});
+
+        if (Object.keys(settings).length === 0) return;
+
+        const backend = await audio.getBackend();
+
+        if (settings.output !== undefined && settings.output !== "auto") {
+            await audio.applyAudioOutput(settings.output, backend);
+        }
+
+        await audio.applyStoredVolume(backend);
+    },
+
+    /**
+     * Applies the stored volume and mute, if they have been set, e.g. after switching output.
+     *
+     * @async
+     * @param {string|null} backend - See `getBackend`.
+     * @returns {Promise<void>}
+     */
+    async applyStoredVolume(backend) {
+        const settings = store.get("audio", {});
+
+        if (settings.volume !== undefined) {
+            await audio.applyVolume(settings.volume, backend);
+        }
+
+        if (settings.muted !== undefined) {
+            await audio.applyMuted(settings.muted, backend);
+        }
+    },
+
+    /**
+     * Sets and stores the volume.
+     *
+     * @async
+     * @param {number} volume - The volume, from 0 to 100.
+     * @returns {Promise<object>} An object with `success`, and an `error` if the volume is invalid or could not be set.
+     */
+    async setVolume(volume) {
+        /* Content may send the volume as a string, e.g. from a form field */
+        const value = typeof volume === "string" && volume.trim() !== "" ? Number(volume) : volume;
+        const error = validateSetting("audio", { volume: value });
+
+        if (error) {
+            return { type: "audio", success: false, error: error };
+        }
+
+        return audio.storeAudioSetting("volume", value, await audio.applyVolume(value, await audio.getBackend()));
+    },
+
+    /**
+     * Mutes or unmutes the output, and stores it.
+     *
+     * @async
+     * @param {boolean} muted
+     * @returns {Promise<object>} An object with `success`, and an `error` if the output could not be muted.
+     */
+    async setMuted(muted) {
+        const value = muted === true || muted === "true";
+
+        return audio.storeAudioSetting("muted", value, await audio.applyMuted(value, await audio.getBackend()));
+    },
+
+    /**
+     * Switches the audio output, and stores it.
+     *
+     * @async
+     * @param {string} output - `hdmi`, `analog` or `auto`.
+     * @returns {Promise<object>} An object with `success`, and an `error` if the output is invalid or not available.
+     */
+    async setAudioOutput(output) {
+        const error = validateSetting("audio", { output: output });
+
+        if (error) {
+            return { type: "audio", success: false, error: error };
+        }
+
+        const backend = await audio.getBackend();
+        const result = output === "auto" ? await audio.resetAudioOutput(backend) : await audio.applyAudioOutput(output, backend);
+
+        if (result.success) {
+            /* The volume belongs to the output, so the stored volume is applied to the new one */
+            await audio.applyStoredVolume(backend);
+        }
+
+        return audio.storeAudioSetting("output", output, result);
+    },
+
+    storeAudioSetting(key, value, result) {
+        if (!result.success) {
+            logger.logError(result.error, `set ${key}`, "audio");
+            return { type: "audio", success: false, error: result.error };
+        }
+
+        store.set("audio", { ...store.get("audio", {}), [key]: value });
+        logger.info(`Audio ${key} set to ${value}`, "audio");
+
+        return { type: "audio", success: true };
+    },
+
+    /**
+     * Returns the audio settings together with what the system reports, for device info.
+     *
+     * @async
+     * @returns {Promise<object>} The audio settings, see `getAudioSettings`, with:
+     *   - `backend` {string|null}: `pulseaudio` or `alsa`, or `null` if no audio system was found.
+     *   - `outputs` {Array<string>}: The outputs that are available, e.g. `["hdmi", "analog"]`.
+     */
+    async getAudioStatus() {
+        const backend = await audio.getBackend();
+        const outputs = backend ? (await audio.getOutputDevices(backend)).map((device) => device.output) : [];
+
+        return {
+            ...audio.getAudioSettings(),
+            backend: backend,
+            outputs: [...new Set(outputs)],
+        };
+    },
+
+    /**
+     * Returns a short description of the audio state for device info, e.g. "hdmi, 80%" or "analog, muted".
+     *
+     * @returns {string}
+     */
+    describeAudio() {
+        const settings = audio.getAudioSettings();
+
+        return `${settings.output}, ${settings.muted ? "muted" : `${settings.volume}%`}`;
+    },
+
+    /**
+     * Finds the audio system. PulseAudio, or PipeWire with its PulseAudio server, is preferred over plain ALSA.
+     *
+     * @async
+     * @returns {Promise<string|null>} `pulseaudio`, `alsa` or `null`.
+     */
+    async getBackend() {
+        if ((await runCommand("pactl info")).success) return "pulseaudio";
+        if ((await runCommand("amixer --version")).success) return "alsa";
+
+        return null;
+    },
+
+    /**
+     * Lists the output devices, and whether each is HDMI or analog.
+     *
+     * @async
+     * @param {string} backend - `pulseaudio` or `alsa`.
+     * @returns {Promise<Array<object>>} Devices with `id` (a PulseAudio sink name or an ALSA card number) and `output`.
+     */
+    async getOutputDevices(backend) {
+        if (backend === "pulseaudio") {
+            const result = await runCommand("pactl list short sinks");
+
+            return (result.stdout || "")
+                .split("\n")
+                .filter(Boolean)
+                .map((line) => line.split("\t")[1])
+                .map((name) => ({ id: name, output: /hdmi/i.test(name) ? "hdmi" : "analog" }));
+        }
+
+        const result = await runCommand("aplay -l");
+
+        return [...(result.stdout || "").matchAll(/^card (\d+): (\S+) \[([^\]]*)\]/gm)].map(([, card, id, name]) => ({
+            id: card,
+            output: /hdmi/i.test(`${id} ${name}`) ? "hdmi" : "analog",
+        }));
+    },
+
+    /**
+     * Makes the first device of an output the default, and moves playing streams to it.
+     *
+     * With ALSA, the default card is written to `~/.asoundrc`, which applies to streams opened after the change.
+     *
+     * @async
+     * @param {string} output - `hdmi` or `analog`.
+     * @param {string|null} backend - See `getBackend`.
+     * @returns {Promise<object>}
+     */
+    async applyAudioOutput(output, backend) {
+        const device = backend ? (await audio.getOutputDevices(backend)).find((device) => device.output === output) : null;
+
+        if (!device) {
+            return { success: false, error: `No ${output} audio output found` };
+        }
+
+        if (backend === "pulseaudio") {
+            const result = await runCommand(quote(["pactl", "set-default-sink", device.id]));
+            const inputs = await runCommand("pactl list short sink-inputs");
+
+            for (const input of (inputs.stdout || "").split("\n").filter(Boolean)) {
+                await runCommand(quote(["pactl", "move-sink-input", input.split("\t")[0], device.id]));
+            }
+
+            return result;
+        }
+
+        try {
+            fs.writeFileSync(path.join(os.homedir(), ".asoundrc"), `defaults.pcm.card ${device.id}\ndefaults.ctl.card ${device.id}\n`);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    async resetAudioOutput(backend) {
+        if (backend === "alsa") {
+            fs.rmSync(path.join(os.homedir(), ".asoundrc"), { force: true });
+        }
+
+        return { success: true };
+    },
+
+    async applyVolume(volume, backend) {
+        if (backend === "pulseaudio") {
+            return runCommand(quote(["pactl", "set-sink-volume", "@DEFAULT_SINK@", `${volume}%`]));
+        }
+
+        if (backend === "alsa") {
+            return audio.runAlsaMixer([`${volume}%`]);
+        }
+
+        return { success: false, error: "No audio system found" };
+    },
+
+    async applyMuted(muted, backend) {
+        if (backend === "pulseaudio") {
+            return runCommand(quote(["pactl", "set-sink-mute", "@DEFAULT_SINK@", muted ? "1" : "0"]));
+        }
+
+        if (backend === "alsa") {
+            return audio.runAlsaMixer([muted ? "mute" : "unmute"]);
+        }
+
+        return { success: false, error: "No audio system found" };
+    },
+
+    /**
+     * Sets the first playback control of the default ALSA card, e.g. "PCM" or "Master".
+     *
+     * @async
+     * @param {Array<string>} values - Values for `amixer sset`, e.g. `["80%"]` or `["mute"]`.
+     * @returns {Promise<object>}
+     */
+    async runAlsaMixer(values) {
+        const controls = await runCommand("amixer scontrols");
+        const control = ((controls.stdout || "").match(/'([^']+)'/) || [])[1];
+
+        if (!control) {
+            return { success: false, error: "The audio output has no volume control" };
+        }
+
+        return runCommand(quote(["amixer", "sset", control, ...values]));
+    },
+});
@@ -3,7 +3,8 @@ const { logger } = require("./appsignal");
 const { getMainWindow } = require('./windowManager');
 
 autoUpdater.autoDownload = false;
-autoUpdater.autoInstallOnAppQuit = true;
+/* Updates are only installed in the maintenance window, see maintenance.js, not whenever the app quits */
+autoUpdater.autoInstallOnAppQuit = false;
 autoUpdater.allowPrerelease = false;
 
 function sendToToaster(msg) {
@@ -15,29 +16,35 @@ autoUpdater.on("error", (error) => {
 });
 
 autoUpdater.on("checking-for-update", (info) => {
-    console.log(info);
+    logger.info("Checking for update", "autoUpdater");
     sendToToaster("Checking for update")
 });
 
 autoUpdater.on("update-not-available", (info) => {
-    console.log(info);
+    logger.info("No updates available", "autoUpdater", { version: info.version });
     sendToToaster("No updates available")
 });
 
 autoUpdater.on("update-available", (info) => {
-    console.log(info);
-    autoUpdater.downloadUpdate();
+    logger.info("Update available", "autoUpdater", { version: info.version });
+
+    /* Required here, since updateChannel.js requires this module */
+    const { shouldSkipVersion } = require("./updateChannel");
+
+    if (!shouldSkipVersion(info.version)) {
+        autoUpdater.downloadUpdate();
+    }
+
     sendToToaster("Update available")
 });
 
 autoUpdater.on("download-progress", (info) => {
-    console.log(info);
+    logger.debug(`Download progress ${info.percent.toFixed(2)}%`, "autoUpdater");
     sendToToaster(`Download progress ${info.percent.toFixed(2)}%`)
 });
 
 autoUpdater.on("update-downloaded", (info) => {
-    console.log(info);
-    autoUpdater.quitAndInstall();
+    logger.info("Update downloaded", "autoUpdater", { version: info.version });
     sendToToaster("Update downloaded")
 });
 
@@ -1,11 +1,16 @@
-const { setScreenRotation, setScreenResolution, parseWiFiScanResults, readBluetoothID, getDeviceSettings } = require("./utils.js");
+const { setScreenRotation, setScreenResolution, readBluetoothID, getDeviceSettings, setTimezone } = require("./utils.js");
 const NetworkManager = require("./networkManager");
+const { setProxySettings } = require("./proxy");
+const { setUpdateChannel } = require("./updateChannel");
+const { getLogTail } = require("./logFile");
+const { setNtpServer, getClockStatus } = require("./clock");
 
 const io = require("socket.io-client");
 let bleSocket = io("ws://127.0.0.1:3333");
 
 const { ipcMain } = require("electron");
 const { store } = require("./store");
+const { logger } = require("./appsignal");
 
 const RECEIVE_SET_HOST = 1
 const RECEIVE_SET_ROTATION = 2
@@ -17,6 +22,17 @@ const RECEIVE_GET_DEVICE_SETTINGS = 7
 const RECEIVE_GO_TO_SCREEN = 8
 const RECEIVE_FINISH_SETUP = 9
 const RECEIVE_FACTORY_RESET = 10
+const RECEIVE_SET_WIRED_ENTERPRISE = 11
+const RECEIVE_SET_IP_CONFIGURATION = 12
+const RECEIVE_SET_PROXY = 13
+const RECEIVE_GET_SAVED_NETWORKS = 14
+const RECEIVE_FORGET_NETWORK = 15
+const RECEIVE_SET_NETWORK_PRIORITIES = 16
+const RECEIVE_RUN_NETWORK_DIAGNOSTICS = 17
+const RECEIVE_SET_UPDATE_CHANNEL = 18
+const RECEIVE_GET_LOG_TAIL = 19
+const RECEIVE_SET_TIMEZONE = 20
+const RECEIVE_SET_NTP_SERVER = 21
 
 const SEND_AVAILABLE_NETWORK_LIST = 1
 const SEND_CONNECT_WIFI_RESPONSE = 2
@@ -24,7 +40,15 @@ const SEND_NETWORK_STATUS = 3
 const SEND_DEVICE_SETTINGS = 4
 const SEND_PINCODE = 5
 const SEND_FINISHED_SETUP = 6
-let networkStatusInterval;
+const SEND_WIRED_ENTERPRISE_RESPONSE = 7
+const SEND_IP_CONFIGURATION_RESPONSE = 8
+const SEND_PROXY_RESPONSE = 9
+const SEND_SAVED_NETWORKS = 10
+const SEND_NETWORK_DIAGNOSTICS = 11
+const SEND_UPDATE_CHANNEL_RESPONSE = 12
+const SEND_LOG_TAIL = 13
+const SEND_CLOCK_RESPONSE = 14
+let bleDeviceConnected = false;
 
 const bleManager = (module.exports = {
     async startBle() {
@@ -37,33 +61,33 @@ const bleManager = (module.exports = {
      */
     async enableBLE() {
         bleSocket.io.on("reconnect", () => {
-            console.log("Reconnecting to BLE bridge...");
+            logger.info("Reconnecting to BLE bridge", "bleManager");
 
             bleManager.startBle()
         })
 
         bleSocket.on("device-accepted", async () => {
-            networkStatusInterval = setInterval(async () => {
-                const result = await NetworkManager.checkNetworkConnection();
-
-                if (result.success && result.stdout === "1") {
-                    if (result.connectionType === "Ethernet") {
-                        bleManager.send(SEND_NETWORK_STATUS, { s: true, t: "e" })
-                    } else if (result.connectionType === "Wi-Fi") {
-                        bleManager.send(SEND_NETWORK_STATUS, { s: true, t: "w", name: result.connectionName })
-                    }
-                }
-            }, 3000);
+            bleDeviceConnected = true
+            logger.info("Device connected", "bleManager")
+            bleManager.sendNetworkStatus(NetworkManager.getConnectivityStatus())
         });
 
         bleSocket.on("device-disconnected", () => {
-            bleManager.stopNetworkStatusInterval()
+            bleDeviceConnected = false
+            logger.info("Device disconnected", "bleManager")
             bleManager.startBle()
         });
 
+        ipcMain.on("connectivity_changed", (_event, status) => {
+            if (bleDeviceConnected) {
+                bleManager.sendNetworkStatus(status)
+            }
+        });
+
         bleSocket.on("write", async (data) => {
             const dataType = data[0]; 
             const content = String.fromCharCode(...data.slice(1));
+            logger.info(`Received command ${dataType}`, "bleManager")
             
             switch (dataType) {
                 case RECEIVE_SET_HOST:
@@ -79,15 +103,17 @@ const bleManager = (module.exports = {
                     ipcMain.emit("connect_to_dns", null, content);
                     break;
                 case RECEIVE_CONNECT_TO_WIFI:
-                    const connectToNetwork = await NetworkManager.connectToNetwork(JSON.parse(content));
-                    bleManager.send(SEND_CONNECT_WIFI_RESPONSE, connectToNetwork)
+                    const network = bleManager.parsePayload(content, SEND_CONNECT_WIFI_RESPONSE)
+
+                    if (network) {
+                        bleManager.send(SEND_CONNECT_WIFI_RESPONSE, await NetworkManager.connectToNetwork(network))
+                    }
                     break;
                 case RECEIVE_SCAN_AVAILABLE_NETWORKS:
-                    const availableNetworks = await NetworkManager.scanAvailableNetworks();
+                    const availableNetworks = await NetworkManager.getAvailableNetworks();
 
                     if (availableNetworks.success) {
-                        const networkList = parseWiFiScanResults(availableNetworks.stdout.toString());
-                        bleManager.send(SEND_AVAILABLE_NETWORK_LIST, networkList)
+                        bleManager.send(SEND_AVAILABLE_NETWORK_LIST, availableNetworks.networks)
                     }
                     break;
                 case RECEIVE_GET_DEVICE_SETTINGS:
@@ -101,11 +127,68 @@ const bleManager = (module.exports = {
                 case RECEIVE_FINISH_SETUP:
                     store.set("firstTime", false)
                     bleManager.send(SEND_FINISHED_SETUP, "FINISH_SETUP")
-                    bleManager.stopNetworkStatusInterval()
+                    bleDeviceConnected = false
                     break;
                 case RECEIVE_FACTORY_RESET:
                     ipcMain.emit("factory_reset");
                     break;
+                case RECEIVE_SET_WIRED_ENTERPRISE:
+                    const wiredEnterprise = bleManager.parsePayload(content, SEND_WIRED_ENTERPRISE_RESPONSE)
+
+                    if (wiredEnterprise) {
+                        bleManager.send(SEND_WIRED_ENTERPRISE_RESPONSE, await NetworkManager.configureWiredEnterprise(wiredEnterprise))
+                    }
+                    break;
+                case RECEIVE_SET_IP_CONFIGURATION:
+                    const ipConfiguration = bleManager.parsePayload(content, SEND_IP_CONFIGURATION_RESPONSE)
+
+                    if (ipConfiguration) {
+                        bleManager.send(SEND_IP_CONFIGURATION_RESPONSE, await NetworkManager.setIpConfiguration(ipConfiguration))
+                    }
+                    break;
+                case RECEIVE_SET_PROXY:
+                    const proxySettings = bleManager.parsePayload(content, SEND_PROXY_RESPONSE)
+
+                    if (proxySettings) {
+                        bleManager.send(SEND_PROXY_RESPONSE, await setProxySettings(proxySettings))
+                    }
+                    break;
+                case RECEIVE_GET_SAVED_NETWORKS:
+                    bleManager.send(SEND_SAVED_NETWORKS, await NetworkManager.getSavedNetworks())
+                    break;
+                case RECEIVE_FORGET_NETWORK:
+                    bleManager.send(SEND_SAVED_NETWORKS, await NetworkManager.forgetNetwork(content))
+                    break;
+                case RECEIVE_SET_NETWORK_PRIORITIES:
+                    const networkPriorities = bleManager.parsePayload(content, SEND_SAVED_NETWORKS)
+
+                    if (networkPriorities) {
+                        bleManager.send(SEND_SAVED_NETWORKS, await NetworkManager.setNetworkPriorities(networkPriorities))
+                    }
+                    break;
+                case RECEIVE_RUN_NETWORK_DIAGNOSTICS:
+                    bleManager.send(SEND_NETWORK_DIAGNOSTICS, await NetworkManager.runNetworkDiagnostics())
+                    break;
+                case RECEIVE_SET_UPDATE_CHANNEL:
+                    /* Either just the channel name, or JSON with a channel and a pinned version */
+                    const updateChannel = content.startsWith("{") ? bleManager.parsePayload(content, SEND_UPDATE_CHANNEL_RESPONSE) : content
+
+                    if (updateChannel) {
+                        bleManager.send(SEND_UPDATE_CHANNEL_RESPONSE, setUpdateChannel(updateChannel))
+                    }
+                    break;
+                case RECEIVE_GET_LOG_TAIL:
+                    bleManager.send(SEND_LOG_TAIL, getLogTail())
+                    break;
+                case RECEIVE_SET_TIMEZONE:
+                    const timezoneResult = await setTimezone(content);
+                    bleManager.send(SEND_CLOCK_RESPONSE, { ...timezoneResult, clock: await getClockStatus() })
+                    break;
+                case RECEIVE_SET_NTP_SERVER:
+                    /* An empty server restores the default servers */
+                    const ntpServerResult = await setNtpServer(content || null);
+                    bleManager.send(SEND_CLOCK_RESPONSE, { ...ntpServerResult, clock: await getClockStatus() })
+                    break;
                 default:
                     break;
             }
@@ -114,13 +197,41 @@ const bleManager = (module.exports = {
         bleManager.startBle()
     },
 
-    stopNetworkStatusInterval() {
-        if (networkStatusInterval) {
-            clearInterval(networkStatusInterval)
-            networkStatusInterval = null 
+    /*
+     *  Sends the connectivity status from the connectivity monitor to the connected device
+     *  Like before the monitor, the status is only sent when the server can be reached, so `s` is always true
+     */
+    sendNetworkStatus(status) {
+        if (status.state !== NetworkManager.CONNECTIVITY.SERVER_REACHABLE) return
+
+        if (status.connectionType === "Ethernet") {
+            bleManager.send(SEND_NETWORK_STATUS, { s: true, t: "e" })
+        } else if (status.connectionType === "Wi-Fi") {
+            bleManager.send(SEND_NETWORK_STATUS, { s: true, t: "w", name: status.connectionName })
         }
     },
 
+    /*
+     *  Parses a JSON payload from the device
+     *  A payload that is not a JSON object or list is answered with an error on the response key, and `null` is returned
+     */
+    parsePayload(content, responseKey) {
+        try {
+            const payload = JSON.parse(content)
+
+            if (payload !== null && typeof payload === "object") {
+                return payload
+            }
+        } catch {
+            /* Answered below */
+        }
+
+        logger.warn(`Received an invalid payload for response ${responseKey}`, "bleManager")
+        bleManager.send(responseKey, { success: false, error: "The payload must be a JSON object or list" })
+
+        return null
+    },
+
     send(key, data) {
         bleSocket.emit("notify", {key: key, data: data});
     },
@@ -0,0 +1,185 @@
+const nodeChildProcess = require("child_process");
+
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const COMMAND_TIMEOUT = 15 * 1000;
+const TV_ADDRESS = "0";
+const POWER_STATES = ["on", "standby", "in transition from standby to on", "in transition from on to standby"];
+
+let queue = Promise.resolve();
+let lastPower = null;
+
+const cec = (module.exports = {
+    /**
+     * Puts the TV in standby over HDMI-CEC.
+     *
+     * @async
+     * @returns {Promise<object>} An object with `success`, and an `error` if the command could not be sent.
+     */
+    async standby() {
+        return cec.sendCommand(`standby ${TV_ADDRESS}`, "standby");
+    },
+
+    /**
+     * Turns the TV on over HDMI-CEC, and switches it to the input of the player.
+     *
+     * @async
+     * @returns {Promise<object>} An object with `success`, and an `error` if the command could not be sent.
+     */
+    async powerOn() {
+        const result = await cec.sendCommand(`on ${TV_ADDRESS}`, "power on");
+
+        return result.success ? cec.setActiveSource() : result;
+    },
+
+    /**
+     * Switches the TV to the input of the player, by announcing the player as the active source.
+     *
+     * @async
+     * @returns {Promise<object>} An object with `success`, and an `error` if the command could not be sent.
+     */
+    async setActiveSource() {
+        return cec.sendCommand("as", "set active source");
+    },
+
+    /**
+     * Asks the TV for its power status.
+     *
+     * @async
+     * @returns {Promise<string|null>} `on`, `standby`, `in transition from standby to on`, `in transition from on to standby`,
+     *   or `null` if the TV did not answer.
+     */
+    async getPowerStatus() {
+        const result = await cec.sendCommand(`pow ${TV_ADDRESS}`, "power status");
+        const match = (result.stdout || "").match(/power status: (.+)$/im);
+        const power = match && POWER_STATES.includes(match[1].trim()) ? match[1].trim() : null;
+
+        lastPower = power;
+
+        return power;
+    },
+
+    /**
+     * Returns the CEC settings together with the power status of the TV, for device info and device settings.
+     *
+     * @async
+     * @returns {Promise<object>} The CEC status:
+     *   - `enabled` {boolean}: Whether the TV is controlled over CEC when the display is turned on or off.
+     *   - `available` {boolean}: Whether the TV answered over CEC.
+     *   - `power` {string|null}: The power status of the TV, see `getPowerStatus`.
+     */
+    async getCecStatus() {
+        const enabled = cec.isCecEnabled();
+        const power = enabled ? await cec.getPowerStatus() : null;
+
+        return {
+            enabled: enabled,
+            available: power !== null,
+            power: power,
+        };
+    },
+
+    /**
+     * Returns a short description of the TV for device info, e.g. "on" or "disabled", from the last power status query.
+     *
+     * @returns {string}
+     */
+    describeCec() {
+        if (!cec.isCecEnabled()) return "disabled";
+
+        return lastPower || "unknown";
+    },
+
+    isCecEnabled() {
+        return store.get("cec").enabled !== false;
+    },
+
+    /**
+     * Turns control of the TV over CEC on or off. Some TVs misbehave with CEC, and those can be left to the video output alone.
+     *
+     * @param {boolean} enabled
+     * @returns {object} An object with `success`, and an `error` if `enabled` is not a boolean.
+     */
+    setCecEnabled(enabled) {
+        if (![true, false, "true", "false"].includes(enabled)) {
+            return { type: "cec", success: false, error: `Invalid value for enabled: ${enabled}. It must be true or false` };
+        }
+
+        store.set("cec", { ...store.get("cec"), enabled: enabled !== false && enabled !== "false" });
+        logger.info(`CEC ${cec.isCecEnabled() ? "enabled" : "disabled"}`, "cec");
+
+        return { type: "cec", success: true };
+    },
+
+    /**
+     * Sends a command to the TV, unless CEC is disabled. Failures are logged as warnings, since many displays have no CEC.
+     *
+     * @async
+     * @param {string} command - A `cec-client` command, e.g. "standby 0".
+     * @param {string} action - What the command does, for the logs.
+     * @returns {Promise<object>} An object with `success`, `stdout`, and an `error` if the command failed.
+     */
+    async sendCommand(command, action) {
+        if (!cec.isCecEnabled()) {
+            return { success: false, error: "CEC is disabled" };
+        }
+
+        const result = await cec.runCecClient(command);
+
+        if (result.success) {
+            logger.debug(`Sent ${action} to the TV`, "cec");
+        } else {
+            logger.warn(`Could not send ${action} to the TV: ${result.error}`, "cec");
+        }
+
+        return result;
+    },
+
+    /**
+     * Runs one command with `cec-client` in single command mode.
+     *
+     * Commands are run one at a time, since only one `cec-client` can hold the adapter. The client can be replaced with
+     * the `CEC_CLIENT` environment variable, e.g. with a script that fakes the output of `cec-client` when testing.
+     *
+     * @param {string} command
+     * @returns {Promise<object>} An object with `success`, `stdout`, and an `error` if the command failed.
+     */
+    runCecClient(command) {
+        const run = () =>
+            new Promise((resolve) => {
+                let stdout = "";
+                let stderr = "";
+                const child = nodeChildProcess.spawn(process.env.CEC_CLIENT || "cec-client", ["-s", "-d", "1"]);
+                const finish = (result) => {
+                    clearTimeout(timeout);
+                    resolve(result);
+                };
+                const timeout = setTimeout(() => {
+                    child.kill();
+                    finish({ success: false, stdout: stdout, error: `cec-client timed out after ${COMMAND_TIMEOUT / 1000} seconds` });
+                }, COMMAND_TIMEOUT);
+
+                child.stdout.on("data", (data) => (stdout += data));
+                child.stderr.on("data", (data) => (stderr += data));
+                child.on("error", (error) => finish({ success: false, stdout: stdout, error: error.message }));
+                child.on("close", (code) => {
+                    /* cec-client exits with 0 when it finds no adapter, but says so in the output */
+                    const noAdapter = /autodetect FAILED|could not open a connection/i.test(stdout);
+
+                    if (code === 0 && !noAdapter) {
+                        finish({ success: true, stdout: stdout.trim() });
+                    } else {
+                        finish({ success: false, stdout: stdout, error: noAdapter ? "No CEC adapter found" : stderr.trim() || `cec-client exited with code ${code}` });
+                    }
+                });
+
+                child.stdin.on("error", () => {});
+                child.stdin.end(`${command}\n`);
+            });
+
+        queue = queue.then(run, run);
+
+        return queue;
+    },
+});
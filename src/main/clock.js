@@ -0,0 +1,203 @@
+const { ipcMain } = require("electron");
+const quote = require("shell-quote/quote");
+
+const { getCurlProxyArguments } = require("./proxy");
+const { runCommand } = require("./command");
+const { logger } = require("./appsignal");
+const { store, validateSetting } = require("./store");
+
+const MAX_CLOCK_SKEW = 60;
+const CHECK_INTERVAL = 30 * 60 * 1000;
+const TIMESYNCD_CONFIG = "/etc/systemd/timesyncd.conf.d/pintomind.conf";
+
+let checkInterval;
+let lastSkewCheck = { skew: null, checkedAt: null };
+
+const clock = (module.exports = {
+    /**
+     * Starts checking the device clock against the server every 30 minutes, and whenever the server becomes reachable.
+     *
+     * @returns {void}
+     */
+    startClockMonitor() {
+        if (checkInterval) return;
+
+        checkInterval = setInterval(() => clock.checkClockSkew(), CHECK_INTERVAL);
+
+        ipcMain.on("connectivity_changed", (_event, status) => {
+            if (status.state === "server-reachable" || status.state === "internet") {
+                clock.checkClockSkew();
+            }
+        });
+
+        clock.checkClockSkew();
+    },
+
+    /**
+     * Measures how far the device clock is from the `Date` header of the content server.
+     *
+     * When the skew is too large and NTP has not synchronized the clock, for example because the network blocks
+     * NTP, the clock is set from the server instead. That is only done from a request where the certificate was
+     * verified, so the time cannot come from whoever sits between the device and the server. When verification
+     * fails, which is what a clock that is far off causes, the skew is measured without it and only reported.
+     *
+     * @async
+     * @returns {Promise<number|null>} The skew in seconds, positive when the device is ahead, or `null` if the server could not be reached.
+     */
+    async checkClockSkew() {
+        const verifiedTime = await clock.getServerTime(true);
+        const serverTime = verifiedTime || (await clock.getServerTime(false));
+
+        if (!serverTime) return null;
+
+        const skew = Math.round((Date.now() - serverTime) / 1000);
+
+        lastSkewCheck = { skew: skew, checkedAt: Date.now() };
+
+        if (Math.abs(skew) > MAX_CLOCK_SKEW) {
+            const { ntpSynchronized } = await clock.getTimedateStatus();
+
+            logger.warn(`The device clock is ${Math.abs(skew)} seconds ${skew > 0 ? "ahead of" : "behind"} the server`, "clock", {
+                ntpSynchronized: ntpSynchronized,
+                verified: Boolean(verifiedTime),
+            });
+
+            if (!ntpSynchronized && verifiedTime) {
+                await clock.setClockFromServer(verifiedTime);
+            }
+        }
+
+        return skew;
+    },
+
+    /**
+     * Reads the time from the `Date` header of the content server.
+     *
+     * @async
+     * @param {boolean} verify - Whether to verify the certificate of the server.
+     * @returns {Promise<number|null>} The server time in milliseconds since epoch, corrected for the round trip, or `null`
+     *   if the server could not be reached.
+     */
+    async getServerTime(verify) {
+        const url = `https://${store.get("host")}/up`;
+        const proxyArguments = await getCurlProxyArguments(url);
+        const result = await runCommand(`curl -sI${verify ? "" : "k"} --max-time 15 -w "time_total:%{time_total}" ${proxyArguments} ${quote([url])}`);
+        const dateMatch = (result.stdout || "").match(/^date: (.+)$/im);
+        const timeMatch = (result.stdout || "").match(/time_total:([\d.]+)/);
+        const serverTime = dateMatch ? Date.parse(dateMatch[1]) : NaN;
+
+        if (!result.success || isNaN(serverTime)) return null;
+
+        /* The server sent its time about halfway through the request */
+        const roundTrip = timeMatch ? parseFloat(timeMatch[1]) * 1000 : 0;
+
+        return serverTime + roundTrip / 2;
+    },
+
+    async setClockFromServer(serverTime) {
+        const result = await runCommand(quote(["sudo", "date", "-u", "-s", `@${Math.round(serverTime / 1000)}`]));
+
+        if (result.success) {
+            logger.info(`Clock set from the server to ${new Date(serverTime).toISOString()}`, "clock");
+            lastSkewCheck = { skew: 0, checkedAt: Date.now() };
+        } else {
+            logger.logError(result.error, "setClockFromServer", "clock");
+        }
+    },
+
+    /**
+     * Returns the status of the clock, for device info and device settings.
+     *
+     * @async
+     * @returns {Promise<object>} The clock status:
+     *   - `time` {string}: The current time on the device, as an ISO date.
+     *   - `timezone` {string}: The time zone, e.g. "Europe/Oslo".
+     *   - `ntpEnabled` {boolean}: Whether the clock is synchronized with NTP.
+     *   - `ntpSynchronized` {boolean}: Whether NTP has synchronized the clock.
+     *   - `ntpServer` {string|null}: The configured NTP server, or `null` for the default servers.
+     *   - `skew` {number|null}: Seconds the clock was ahead of the server at the last check, negative when behind.
+     *   - `skewCheckedAt` {number|null}: When the skew was last checked, in milliseconds since epoch.
+     *   - `healthy` {boolean}: Whether the clock was within a minute of the server at the last check, or
+     *     synchronized by NTP if it has not been checked.
+     */
+    async getClockStatus() {
+        const status = await clock.getTimedateStatus();
+
+        return {
+            time: new Date().toISOString(),
+            timezone: status.timezone,
+            ntpEnabled: status.ntpEnabled,
+            ntpSynchronized: status.ntpSynchronized,
+            ntpServer: store.get("ntpServer", null),
+            skew: lastSkewCheck.skew,
+            skewCheckedAt: lastSkewCheck.checkedAt,
+            healthy: lastSkewCheck.skew === null ? status.ntpSynchronized : Math.abs(lastSkewCheck.skew) <= MAX_CLOCK_SKEW,
+        };
+    },
+
+    /**
+     * Returns a short description of the clock for device info, e.g. "Europe/Oslo, NTP synchronized, 1 s skew".
+     *
+     * @async
+     * @returns {Promise<string>}
+     */
+    async describeClock() {
+        const status = await clock.getClockStatus();
+        const ntp = status.ntpSynchronized ? "NTP synchronized" : status.ntpEnabled ? "NTP not synchronized" : "NTP disabled";
+        const skew = status.skew === null ? "skew unknown" : `${status.skew} s skew`;
+
+        return `${status.timezone}, ${ntp}, ${skew}`;
+    },
+
+    async getTimedateStatus() {
+        const result = await runCommand("timedatectl show --property=Timezone --property=NTP --property=NTPSynchronized");
+        const values = Object.fromEntries((result.stdout || "").split("\n").map((line) => line.split("=")));
+
+        return {
+            timezone: values.Timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            ntpEnabled: values.NTP === "yes",
+            ntpSynchronized: values.NTPSynchronized === "yes",
+        };
+    },
+
+    /**
+     * Sets the NTP servers used by `systemd-timesyncd`, and restarts it.
+     *
+     * @async
+     * @param {string|null} server - One or more servers separated by spaces, e.g. "ntp.example.com", or `null` for the default servers.
+     * @returns {Promise<object>} An object with `success`, and an `error` if the server is invalid or could not be set.
+     */
+    async setNtpServer(server) {
+        const error = server ? validateSetting("ntpServer", server) : null;
+
+        if (error) {
+            return { type: "ntp server", success: false, error: error };
+        }
+
+        /* The config is written with positional arguments, so the server is never part of the script */
+        const command = server
+            ? quote(["sudo", "sh", "-c", 'mkdir -p "$(dirname "$2")" && printf "[Time]\\nNTP=%s\\n" "$1" > "$2"', "sh", server, TIMESYNCD_CONFIG])
+            : quote(["sudo", "rm", "-f", TIMESYNCD_CONFIG]);
+
+        let result = await runCommand(command);
+
+        if (result.success) {
+            result = await runCommand("sudo systemctl restart systemd-timesyncd");
+        }
+
+        if (!result.success) {
+            logger.logError(result.error, "setNtpServer", "clock");
+            return { type: "ntp server", success: false, error: result.error };
+        }
+
+        if (server) {
+            store.set("ntpServer", server);
+        } else {
+            store.delete("ntpServer");
+        }
+
+        logger.info(`NTP server set to ${server || "the default servers"}`, "clock");
+
+        return { type: "ntp server", success: true };
+    },
+});
@@ -0,0 +1,28 @@
+const nodeChildProcess = require("child_process");
+
+const { promisify } = require("util");
+const execAsync = promisify(nodeChildProcess.exec);
+
+const command = (module.exports = {
+    /**
+     * Runs a shell command, without logging it.
+     *
+     * For modules that `utils.js` requires, such as clock.js and audio.js, which cannot use `executeCommand`, and for
+     * probes like the network diagnostics, where a command that fails is a result and not an error to report.
+     * The error is taken from stderr and never contains the command line, so it is safe to log.
+     *
+     * @async
+     * @param {string} cmd
+     * @returns {Promise<object>} An object with `success`, `stdout`, and an `error` if the command failed.
+     */
+    async runCommand(cmd) {
+        try {
+            const { stdout } = await execAsync(cmd);
+            return { success: true, stdout: stdout.trim() };
+        } catch (error) {
+            const stderr = typeof error.stderr === "string" ? error.stderr.trim() : "";
+
+            return { success: false, stdout: error.stdout, error: stderr || `The command exited with code ${error.code}` };
+        }
+    },
+});
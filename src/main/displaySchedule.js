@@ -0,0 +1,310 @@
+const { turnDisplayOff, updateDisplayConfiguration } = require("./utils");
+const Cec = require("./cec");
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CHECK_INTERVAL = 60 * 1000;
+const LOOKAHEAD_DAYS = 8;
+
+let scheduleInterval;
+let displayOn = null;
+
+const displaySchedule = (module.exports = {
+    /**
+     * Starts enforcing the stored display schedule.
+     *
+     * The schedule is evaluated every minute, so it keeps working when the server is unreachable and
+     * follows changes to the system clock. The display is only switched when the wanted state changes.
+     *
+     * @returns {void}
+     */
+    startDisplaySchedule() {
+        if (scheduleInterval) return;
+
+        scheduleInterval = setInterval(() => displaySchedule.applyDisplaySchedule(), CHECK_INTERVAL);
+        displaySchedule.applyDisplaySchedule();
+    },
+
+    /**
+     * Returns the stored display schedule.
+     *
+     * @returns {object} The schedule:
+     *   - `enabled` {boolean}: Whether the schedule is enforced.
+     *   - `weekly` {object}: The on periods for each day, keyed by day name, e.g. `{ monday: [{ on: "07:00", off: "19:00" }] }`.
+     *      A day without periods keeps the display off. Use "24:00" to keep the display on until midnight.
+     *   - `exceptions` {Array<object>}: Dates that replace the weekly periods, e.g. `{ date: "2026-12-24", periods: [] }` for a closed day.
+     */
+    getDisplaySchedule() {
+        return store.get("displaySchedule", { enabled: false, weekly: {}, exceptions: [] });
+    },
+
+    /**
+     * Validates, stores and applies a new display schedule.
+     *
+     * A new schedule replaces any manual override.
+     *
+     * @param {object} schedule - The schedule, see `getDisplaySchedule`.
+     * @returns {object} An object with `success`, and an `error` if the schedule is invalid.
+     */
+    setDisplaySchedule(schedule) {
+        const error = displaySchedule.validateDisplaySchedule(schedule);
+
+        if (error) {
+            logger.logError(error, "setDisplaySchedule", "displaySchedule");
+            return { type: "display schedule", success: false, error: error };
+        }
+
+        store.set("displaySchedule", {
+            enabled: schedule.enabled !== false,
+            weekly: Object.fromEntries(DAYS.map((day) => [day, schedule.weekly[day] || []])),
+            exceptions: schedule.exceptions || [],
+        });
+        store.delete("displayOverride");
+
+        displaySchedule.applyDisplaySchedule();
+
+        return { type: "display schedule", success: true };
+    },
+
+    /**
+     * Validates a display schedule.
+     *
+     * @param {object} schedule - The schedule, see `getDisplaySchedule`.
+     * @returns {string|null} A description of what is wrong, or `null` if the schedule is valid.
+     */
+    validateDisplaySchedule(schedule) {
+        if (!schedule || typeof schedule.weekly !== "object" || schedule.weekly === null) {
+            return "The schedule must contain a weekly schedule";
+        }
+
+        const invalidDay = Object.keys(schedule.weekly).find((day) => !DAYS.includes(day));
+        if (invalidDay) {
+            return `Invalid day: ${invalidDay}. Valid values are: ${DAYS.join(", ")}`;
+        }
+
+        const invalidWeekday = Object.keys(schedule.weekly).find((day) => !Array.isArray(schedule.weekly[day]));
+        if (invalidWeekday) {
+            return `The periods of ${invalidWeekday} must be a list`;
+        }
+
+        const periods = Object.values(schedule.weekly).flat();
+
+        if (schedule.exceptions !== undefined && !Array.isArray(schedule.exceptions)) {
+            return "Exceptions must be a list";
+        }
+
+        for (const exception of schedule.exceptions || []) {
+            if (!exception || typeof exception !== "object") {
+                return `Invalid exception: ${JSON.stringify(exception)}. It must be an object with a date`;
+            }
+
+            if (typeof exception.date !== "string" || !DATE_PATTERN.test(exception.date) || isNaN(new Date(exception.date))) {
+                return `Invalid exception date: ${exception.date}`;
+            }
+
+            if (exception.periods !== undefined && !Array.isArray(exception.periods)) {
+                return `The periods of ${exception.date} must be a list`;
+            }
+
+            periods.push(...(exception.periods || []));
+        }
+
+        const invalidIndex = periods.findIndex(
+            (period) =>
+                !period ||
+                typeof period.on !== "string" ||
+                typeof period.off !== "string" ||
+                !TIME_PATTERN.test(period.on) ||
+                !TIME_PATTERN.test(period.off) ||
+                period.on >= period.off
+        );
+        if (invalidIndex !== -1) {
+            return `Invalid period: ${JSON.stringify(periods[invalidIndex])}. Times must be HH:MM and "on" must be before "off"`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Checks whether the schedule wants the display on at a given time.
+     *
+     * An exception for the date replaces the weekly periods of that day.
+     *
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    isScheduledOn(date) {
+        const schedule = displaySchedule.getDisplaySchedule();
+        const time = displaySchedule.formatTime(date);
+
+        return displaySchedule.getPeriodsForDate(schedule, date).some((period) => period.on <= time && time < period.off);
+    },
+
+    /**
+     * Returns the on periods for a date, from its exception if there is one, or from the weekly schedule.
+     *
+     * @param {object} schedule - The schedule, see `getDisplaySchedule`.
+     * @param {Date} date
+     * @returns {Array<object>}
+     */
+    getPeriodsForDate(schedule, date) {
+        const exception = (schedule.exceptions || []).find((exception) => exception.date === displaySchedule.formatDate(date));
+
+        if (exception) {
+            return exception.periods || [];
+        }
+
+        return schedule.weekly[DAYS[date.getDay()]] || [];
+    },
+
+    /**
+     * Finds the next time the schedule switches the display on or off.
+     *
+     * @param {Date} [from=new Date()]
+     * @returns {Date|null} The next boundary, or `null` if the state does not change within the next week.
+     */
+    getNextBoundary(from = new Date()) {
+        const schedule = displaySchedule.getDisplaySchedule();
+        const currentState = displaySchedule.isScheduledOn(from);
+        const boundaries = [];
+
+        for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+
+            boundaries.push(day);
+
+            for (const period of displaySchedule.getPeriodsForDate(schedule, day)) {
+                for (const time of [period.on, period.off]) {
+                    const [hours, minutes] = time.split(":").map(Number);
+                    boundaries.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes));
+                }
+            }
+        }
+
+        return (
+            boundaries
+                .filter((boundary) => boundary > from)
+                .sort((a, b) => a - b)
+                .find((boundary) => displaySchedule.isScheduledOn(boundary) !== currentState) || null
+        );
+    },
+
+    /**
+     * Turns the display on or off by hand, overriding the schedule until its next boundary.
+     *
+     * Used for the `wake` and `sleep` commands. Without an enabled schedule the display is just switched.
+     *
+     * @async
+     * @param {boolean} on - Whether to turn the display on.
+     * @returns {Promise<void>}
+     */
+    async setManualOverride(on) {
+        const schedule = displaySchedule.getDisplaySchedule();
+
+        if (schedule.enabled) {
+            const until = displaySchedule.getNextBoundary();
+
+            store.set("displayOverride", { on: on, until: until ? until.getTime() : null });
+            logger.info(`Display turned ${on ? "on" : "off"} by hand until ${until ? until.toString() : "the schedule changes"}`, "displaySchedule");
+        }
+
+        await displaySchedule.setDisplayPower(on);
+    },
+
+    /**
+     * Returns the state the display should be in right now, and why.
+     *
+     * @returns {object|null} An object with `on` and `source` (`override` or `schedule`), or `null` when the schedule is disabled.
+     */
+    getWantedDisplayState() {
+        const schedule = displaySchedule.getDisplaySchedule();
+        const override = store.get("displayOverride", null);
+
+        if (!schedule.enabled) return null;
+
+        if (override && (override.until === null || Date.now() < override.until)) {
+            return { on: override.on, source: "override" };
+        }
+
+        if (override) {
+            store.delete("displayOverride");
+        }
+
+        return { on: displaySchedule.isScheduledOn(new Date()), source: "schedule" };
+    },
+
+    /**
+     * Switches the display to the state wanted by the schedule or the manual override.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async applyDisplaySchedule() {
+        const wanted = displaySchedule.getWantedDisplayState();
+
+        if (!wanted || wanted.on === displayOn) return;
+
+        logger.info(`Turning display ${wanted.on ? "on" : "off"}`, "displaySchedule", { source: wanted.source });
+        await displaySchedule.setDisplayPower(wanted.on);
+    },
+
+    /**
+     * Turns the display on or off.
+     *
+     * The TV is also put in standby or turned on over HDMI-CEC, so it does not show "no signal" while the video output
+     * is off. The TV is put in standby before the output is turned off, and switched to the player after it is turned on.
+     *
+     * @async
+     * @param {boolean} on
+     * @returns {Promise<void>}
+     */
+    async setDisplayPower(on) {
+        if (!on) {
+            await Cec.standby();
+        }
+
+        const result = on ? await updateDisplayConfiguration() : await turnDisplayOff();
+
+        if (on) {
+            await Cec.powerOn();
+        }
+
+        if (result.success) {
+            displayOn = on;
+        } else {
+            logger.logError(result.error || result.stderr, "setDisplayPower", "displaySchedule");
+        }
+    },
+
+    /**
+     * Returns the schedule together with its current state, for the settings page and device info.
+     *
+     * @returns {object} The schedule, see `getDisplaySchedule`, with:
+     *   - `displayOn` {boolean|null}: Whether the display was last turned on, or `null` if it has not been switched.
+     *   - `override` {object|null}: The manual override, with `on` and `until`, if one is active.
+     *   - `nextBoundary` {number|null}: When the schedule switches the display next, in milliseconds since epoch.
+     */
+    getDisplayScheduleStatus() {
+        const schedule = displaySchedule.getDisplaySchedule();
+        const wanted = displaySchedule.getWantedDisplayState();
+        const nextBoundary = schedule.enabled ? displaySchedule.getNextBoundary() : null;
+
+        return {
+            ...schedule,
+            displayOn: displayOn,
+            override: wanted && wanted.source === "override" ? store.get("displayOverride") : null,
+            nextBoundary: nextBoundary ? nextBoundary.getTime() : null,
+        };
+    },
+
+    formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+    },
+
+    formatTime(date) {
+        return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+    },
+});
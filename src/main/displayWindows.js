@@ -0,0 +1,293 @@
+const { BrowserWindow, screen } = require("electron");
+const path = require("path");
+
+const { getDisplays, setDisplayOutput, setScreenRotation, setScreenResolution } = require("./utils");
+const { getMainWindow } = require("./windowManager");
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const ROTATIONS = ["normal", "left", "right", "inverted"];
+const RESOLUTION_PATTERN = /^\d{3,5}x\d{3,5}$/;
+const SYNC_DELAY = 1000;
+const RELOAD_DELAY = 10 * 1000;
+
+let windows = new Map();
+let primaryName = null;
+let syncTimeout;
+let applyPending = false;
+let listening = false;
+
+const displayWindows = (module.exports = {
+    /**
+     * Creates a frameless kiosk window on a display. Used for the main window and for the window of every other display.
+     *
+     * @param {Electron.Rectangle} bounds - The bounds of the display.
+     * @returns {Electron.BrowserWindow}
+     */
+    createKioskWindow(bounds) {
+        const window = new BrowserWindow({
+            alwaysOnTop: false,
+            backgroundColor: "#000000",
+            x: bounds.x,
+            y: bounds.y,
+            width: bounds.width,
+            height: bounds.height,
+            frame: false,
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                enableRemoteModule: false,
+                preload: path.join(__dirname, "preload.js"),
+            },
+        });
+
+        window.once("ready-to-show", () => {
+            window.kiosk = true;
+            window.show();
+        });
+
+        /* Only the channel is logged, since messages can contain passwords */
+        window.webContents.on("ipc-message", (_event, channel) => {
+            logger.info(`Received ${channel}`, "ipc");
+        });
+
+        return window;
+    },
+
+    /**
+     * Opens a content window on every connected display other than the primary one, which shows the main window.
+     *
+     * The resolution and rotation of each display are applied first. Displays that are connected or disconnected
+     * later get a window opened or closed.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async openDisplayWindows() {
+        await displayWindows.applyDisplayOutputs();
+        await displayWindows.syncDisplayWindows();
+
+        if (listening) return;
+
+        listening = true;
+
+        screen.on("display-added", () => displayWindows.scheduleSync(true));
+        screen.on("display-removed", () => displayWindows.scheduleSync(false));
+        screen.on("display-metrics-changed", () => displayWindows.scheduleSync(false));
+    },
+
+    /**
+     * Syncs the windows once the displays have settled, since a display that is plugged in fires several events.
+     *
+     * @param {boolean} applyOutputs - Whether to apply the stored resolution and rotation first, for a new display.
+     * @returns {void}
+     */
+    scheduleSync(applyOutputs) {
+        applyPending = applyPending || applyOutputs;
+        clearTimeout(syncTimeout);
+
+        syncTimeout = setTimeout(async () => {
+            const apply = applyPending;
+
+            applyPending = false;
+
+            if (apply) {
+                await displayWindows.applyDisplayOutputs();
+            }
+
+            await displayWindows.syncDisplayWindows();
+        }, SYNC_DELAY);
+    },
+
+    /**
+     * Applies the stored resolution and rotation of every display other than the primary one, placing them from left to right.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async applyDisplayOutputs() {
+        const displays = await getDisplays();
+
+        for (let i = 1; i < displays.length; i++) {
+            await setDisplayOutput(displays[i].name, displayWindows.getDisplaySettings(displays[i].name), displays[i - 1].name);
+        }
+    },
+
+    /**
+     * Opens, moves and closes windows so there is exactly one window on each display other than the primary one.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async syncDisplayWindows() {
+        const displays = await getDisplays();
+        const secondary = displays.filter((display) => !display.primary && display.current);
+
+        primaryName = displays.length > 0 ? displays[0].name : null;
+
+        for (const [name, window] of windows) {
+            if (!secondary.some((display) => display.name === name)) {
+                logger.info(`Display ${name} disconnected, closing its window`, "displayWindows");
+                window.destroy();
+                windows.delete(name);
+            }
+        }
+
+        for (const display of secondary) {
+            /* Electron does not know the output names, so displays are matched by their position */
+            const electronDisplay = screen.getAllDisplays().find((electronDisplay) => electronDisplay.bounds.x === display.x && electronDisplay.bounds.y === display.y);
+
+            if (!electronDisplay) continue;
+
+            const window = windows.get(display.name);
+
+            if (!window) {
+                displayWindows.openDisplayWindow(display.name, electronDisplay.bounds);
+            } else if (JSON.stringify(window.getBounds()) !== JSON.stringify(electronDisplay.bounds)) {
+                /* A kiosk window is full screen, and has to leave kiosk mode to move */
+                window.kiosk = false;
+                window.setBounds(electronDisplay.bounds);
+                window.kiosk = true;
+            }
+        }
+    },
+
+    openDisplayWindow(name, bounds) {
+        logger.info(`Opening a window on display ${name}`, "displayWindows");
+
+        const window = displayWindows.createKioskWindow(bounds);
+
+        window.webContents.on("render-process-gone", (_event, details) => {
+            logger.logError(`Renderer process gone on display ${name}: ${details.reason}`, "render-process-gone", "displayWindows");
+            setTimeout(() => window.isDestroyed() || window.reload(), RELOAD_DELAY);
+        });
+
+        window.on("closed", () => {
+            if (windows.get(name) === window) {
+                windows.delete(name);
+            }
+        });
+
+        window.loadFile(path.join(__dirname, "../renderer/index/index.html"));
+        windows.set(name, window);
+    },
+
+    /**
+     * Reloads the main window and the window of every other display, e.g. when the host changes.
+     *
+     * @returns {void}
+     */
+    reloadWindows() {
+        for (const window of [getMainWindow(), ...windows.values()]) {
+            if (!window.isDestroyed()) window.reload();
+        }
+    },
+
+    /**
+     * Returns the stored settings of a display.
+     *
+     * @param {string} name - The output, e.g. "HDMI-2".
+     * @returns {object} The settings of the display:
+     *   - `rotation` {string|undefined}: "normal", "left", "right" or "inverted".
+     *   - `resolution` {string|undefined}: E.g. "1920x1080".
+     *   - `url` {string|undefined}: A content URL that replaces the player page of the host.
+     *   - `channel` {string|undefined}: The channel to show, sent to the content when the player is ready.
+     */
+    getDisplaySettings(name) {
+        return store.get("displays")[name] || {};
+    },
+
+    /**
+     * Validates, stores and applies the settings of a display, and reloads its content.
+     *
+     * The rotation and resolution of the primary display are set with `setScreenRotation` and `setScreenResolution`,
+     * like when only one display is connected.
+     *
+     * @async
+     * @param {string} name - The output, e.g. "HDMI-2".
+     * @param {object} settings - The settings to change, see `getDisplaySettings`. Settings set to `null` are removed.
+     * @returns {Promise<object>} An object with `success`, and an `error` if the settings are invalid or could not be applied.
+     */
+    async setDisplaySettings(name, settings) {
+        const displays = await getDisplays();
+        const index = displays.findIndex((display) => display.name === name);
+        const error = index === -1 ? `Unknown display: ${name}` : displayWindows.validateDisplaySettings(settings);
+
+        if (error) {
+            logger.logError(error, "setDisplaySettings", "displayWindows");
+            return { type: "display", success: false, error: error };
+        }
+
+        const stored = Object.fromEntries(Object.entries({ ...displayWindows.getDisplaySettings(name), ...settings }).filter(([, value]) => value !== null));
+
+        store.set("displays", { ...store.get("displays"), [name]: stored });
+        logger.info(`Display ${name} settings changed`, "displayWindows", { settings: Object.keys(settings).join(", ") });
+
+        let result = { success: true };
+
+        if (index === 0) {
+            if (settings.resolution) result = await setScreenResolution(settings.resolution);
+            if (settings.rotation && result.success) result = await setScreenRotation(settings.rotation);
+        } else if ("resolution" in settings || "rotation" in settings) {
+            result = await setDisplayOutput(name, stored, displays[index - 1].name);
+        }
+
+        const window = index === 0 ? getMainWindow() : windows.get(name);
+
+        if (window && ("url" in settings || "channel" in settings)) {
+            window.reload();
+        }
+
+        if (!result.success) {
+            return { type: "display", success: false, error: String(result.error.message || result.error) };
+        }
+
+        return { type: "display", success: true };
+    },
+
+    /**
+     * Validates the settings of a display.
+     *
+     * @param {object} settings - The settings, see `getDisplaySettings`.
+     * @returns {string|null} A description of what is wrong, or `null` if the settings are valid.
+     */
+    validateDisplaySettings(settings) {
+        if (!settings || typeof settings !== "object") {
+            return "The display settings must be an object";
+        }
+
+        if (settings.rotation != null && !ROTATIONS.includes(settings.rotation)) {
+            return `Invalid rotation: ${settings.rotation}. Valid values are: ${ROTATIONS.join(", ")}`;
+        }
+
+        if (settings.resolution != null && !RESOLUTION_PATTERN.test(settings.resolution)) {
+            return `Invalid resolution: ${settings.resolution}. It must be like 1920x1080`;
+        }
+
+        if (settings.url != null && !/^https?:\/\/\S+$/i.test(settings.url)) {
+            return `Invalid content URL: ${settings.url}`;
+        }
+
+        if (settings.channel != null && typeof settings.channel !== "string" && typeof settings.channel !== "number") {
+            return `Invalid channel: ${JSON.stringify(settings.channel)}`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Returns which display a window shows, and the content it should show there.
+     *
+     * @async
+     * @param {Electron.WebContents} webContents - The web contents of a window.
+     * @returns {Promise<object>} The `display` name, with its `url` and `channel`, see `getDisplaySettings`.
+     */
+    async getContentSettings(webContents) {
+        const entry = [...windows].find(([, window]) => !window.isDestroyed() && window.webContents === webContents);
+        const name = entry ? entry[0] : primaryName || ((await getDisplays())[0] || {}).name || null;
+        const settings = name ? displayWindows.getDisplaySettings(name) : {};
+
+        return { display: name, url: settings.url || null, channel: settings.channel || null };
+    },
+});
@@ -0,0 +1,230 @@
+const { app, ipcMain } = require("electron");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+const pjson = require("../../package.json");
+
+const MAX_QUEUE_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_STACK_LENGTH = 8000;
+const FLUSH_BATCH_SIZE = 10;
+const BASE_FLUSH_DELAY = 30 * 1000;
+const MAX_FLUSH_DELAY = 30 * 60 * 1000;
+const WRITE_DELAY = 5 * 1000;
+const ONLINE_STATES = ["internet", "server-reachable"];
+
+let queue = null;
+let sendError = null;
+let connectivity = { state: null, connectionType: null };
+let flushTimeout;
+let flushDelay = BASE_FLUSH_DELAY;
+let flushing = false;
+let writeTimeout;
+
+const errorQueue = (module.exports = {
+    /**
+     * Starts flushing the queue through the given sender.
+     *
+     * The queue is flushed right away, whenever the connectivity monitor reports that the device is back
+     * online, and on a backoff timer while there are reports left.
+     *
+     * @param {function(Error, object): Promise} sender - Sends one error with its `action`, `namespace` and `tags`, and rejects if it could not be sent.
+     * @returns {void}
+     */
+    setErrorSender(sender) {
+        sendError = sender;
+        errorQueue.flushErrorQueue();
+    },
+
+    /**
+     * Adds an error report to the persistent queue.
+     *
+     * A report that is already queued is not added again. Its count and last seen time are updated instead,
+     * so an error that repeats every second while offline becomes a single report. When the queue is full the
+     * oldest report is dropped.
+     *
+     * @param {object} report
+     * @param {Error|string} report.error - The error, or a message.
+     * @param {string} report.action
+     * @param {string} report.namespace
+     * @param {object} [report.tags]
+     * @returns {void}
+     */
+    enqueueError({ error, action, namespace, tags }) {
+        const entries = errorQueue.readQueue();
+        const message = String(error instanceof Error ? error.message : error).slice(0, MAX_MESSAGE_LENGTH);
+        const key = `${namespace}:${action}:${message}`;
+        const existing = entries.find((entry) => entry.key === key);
+        const now = Date.now();
+
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = now;
+        } else {
+            entries.push({
+                key: key,
+                name: error instanceof Error ? error.name : "Error",
+                message: message,
+                stack: error instanceof Error && error.stack ? error.stack.slice(0, MAX_STACK_LENGTH) : null,
+                action: action,
+                namespace: namespace,
+                tags: { ...errorQueue.getContext(), ...tags },
+                count: 1,
+                firstSeen: now,
+                lastSeen: now,
+            });
+        }
+
+        errorQueue.writeQueue(entries.slice(-MAX_QUEUE_LENGTH));
+        errorQueue.scheduleFlush(0);
+    },
+
+    /**
+     * Returns the context added to every report.
+     *
+     * @returns {object} Tags with `uptime` in seconds, `connectionType`, `connectivity` and `appVersion`.
+     */
+    getContext() {
+        return {
+            uptime: String(Math.round(os.uptime())),
+            connectionType: connectivity.connectionType || "none",
+            connectivity: connectivity.state || "unknown",
+            appVersion: pjson.version,
+        };
+    },
+
+    isOnline() {
+        return ONLINE_STATES.includes(connectivity.state);
+    },
+
+    /**
+     * Sends queued reports, a batch at a time to stay within rate limits.
+     *
+     * Reports are removed from the queue once they have been sent. If sending fails, the next attempt is
+     * delayed with exponential backoff.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async flushErrorQueue() {
+        if (flushing || !sendError || !errorQueue.isOnline()) return;
+
+        flushing = true;
+
+        try {
+            const batch = errorQueue.readQueue().slice(0, FLUSH_BATCH_SIZE);
+            const sent = [];
+
+            for (const entry of batch) {
+                try {
+                    await sendError(errorQueue.toError(entry), { action: entry.action, namespace: entry.namespace, tags: errorQueue.toTags(entry) });
+                    sent.push(entry.key);
+                } catch (error) {
+                    flushDelay = Math.min(flushDelay * 2, MAX_FLUSH_DELAY);
+                    console.error(`errorQueue:flushErrorQueue - ${error}`);
+                    break;
+                }
+            }
+
+            const remaining = errorQueue.readQueue().filter((entry) => !sent.includes(entry.key));
+            errorQueue.writeQueue(remaining);
+
+            if (remaining.length > 0) {
+                errorQueue.scheduleFlush(sent.length === batch.length ? BASE_FLUSH_DELAY : flushDelay);
+            } else {
+                flushDelay = BASE_FLUSH_DELAY;
+            }
+        } finally {
+            flushing = false;
+        }
+    },
+
+    scheduleFlush(delay) {
+        if (flushTimeout) return;
+
+        flushTimeout = setTimeout(() => {
+            flushTimeout = null;
+            errorQueue.flushErrorQueue();
+        }, delay);
+    },
+
+    toError(entry) {
+        const error = new Error(entry.message);
+        error.name = entry.name;
+        error.stack = entry.stack || `${entry.name}: ${entry.message}`;
+
+        return error;
+    },
+
+    toTags(entry) {
+        return {
+            ...entry.tags,
+            count: String(entry.count),
+            firstSeen: new Date(entry.firstSeen).toISOString(),
+            lastSeen: new Date(entry.lastSeen).toISOString(),
+        };
+    },
+
+    getQueueFile() {
+        return path.join(app.getPath("userData"), "error-queue.json");
+    },
+
+    readQueue() {
+        if (queue) return queue;
+
+        try {
+            queue = JSON.parse(fs.readFileSync(errorQueue.getQueueFile(), "utf8"));
+        } catch {
+            queue = [];
+        }
+
+        return queue;
+    },
+
+    /**
+     * Replaces the queue, and writes it to disk within `WRITE_DELAY`.
+     *
+     * Errors tend to come in bursts, e.g. a failing command on every connectivity check, so the file is written
+     * once per burst instead of once per error. The queue is also written when the app quits.
+     *
+     * @param {Array<object>} entries
+     * @returns {void}
+     */
+    writeQueue(entries) {
+        queue = entries;
+
+        if (writeTimeout) return;
+
+        writeTimeout = setTimeout(() => errorQueue.saveQueue(), WRITE_DELAY);
+    },
+
+    saveQueue() {
+        clearTimeout(writeTimeout);
+        writeTimeout = null;
+
+        if (!queue) return;
+
+        try {
+            fs.writeFileSync(errorQueue.getQueueFile(), JSON.stringify(queue));
+        } catch (error) {
+            /* Reporting this through the logger would queue another error */
+            console.error(`errorQueue:saveQueue - ${error}`);
+        }
+    },
+});
+
+app.on("will-quit", () => {
+    if (writeTimeout) {
+        errorQueue.saveQueue();
+    }
+});
+
+ipcMain.on("connectivity_changed", (_event, status) => {
+    connectivity = status;
+
+    if (errorQueue.isOnline()) {
+        flushDelay = BASE_FLUSH_DELAY;
+        errorQueue.flushErrorQueue();
+    }
+});
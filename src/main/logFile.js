@@ -0,0 +1,175 @@
+const { app } = require("electron");
+const path = require("path");
+const fs = require("fs");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FILE_NAME = "player.log";
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_FILES = 5;
+const TAIL_MESSAGE_LENGTH = 120;
+/* The message of an `exec` error, which starts with the command line. It can contain passwords */
+const COMMAND_LINE_PATTERN = /(Command failed: )[^\n]*/g;
+
+let logDirectory;
+let currentSize = null;
+
+const logFile = (module.exports = {
+    LOG_LEVELS,
+
+    /**
+     * Returns the directory where log files are stored.
+     *
+     * @returns {string} Path to the log directory inside the app data directory.
+     */
+    getLogDirectory() {
+        if (!logDirectory) {
+            logDirectory = path.join(app.getPath("userData"), "logs");
+            fs.mkdirSync(logDirectory, { recursive: true });
+        }
+
+        return logDirectory;
+    },
+
+    /**
+     * Returns the paths of the log files, newest first.
+     *
+     * @returns {Array<string>}
+     */
+    getLogFiles() {
+        const current = path.join(logFile.getLogDirectory(), LOG_FILE_NAME);
+        const rotated = Array.from({ length: MAX_FILES - 1 }, (_, i) => `${current}.${i + 1}`);
+
+        return [current, ...rotated].filter((file) => fs.existsSync(file));
+    },
+
+    /**
+     * Appends an entry to the log file as a line of JSON, and rotates the files when the current one is full.
+     *
+     * The current file is `player.log`, and rotated files are `player.log.1` (newest) to `player.log.4` (oldest).
+     * Writing is synchronous so entries from just before a crash or reboot are not lost.
+     *
+     * @param {object} entry - The entry, with at least `level`, `namespace` and `message`.
+     * @returns {void}
+     */
+    writeLogEntry(entry) {
+        try {
+            const file = path.join(logFile.getLogDirectory(), LOG_FILE_NAME);
+            const line = JSON.stringify(logFile.redactEntry({ time: new Date().toISOString(), ...entry })) + "\n";
+
+            if (currentSize === null) {
+                currentSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            }
+
+            if (currentSize + Buffer.byteLength(line) > MAX_FILE_SIZE) {
+                logFile.rotateLogFiles(file);
+            }
+
+            fs.appendFileSync(file, line);
+            currentSize += Buffer.byteLength(line);
+        } catch (error) {
+            /* Logging must never take the app down, and there is nowhere else to report this */
+            console.error(`logFile:writeLogEntry - ${error}`);
+        }
+    },
+
+    rotateLogFiles(file) {
+        fs.rmSync(`${file}.${MAX_FILES - 1}`, { force: true });
+
+        for (let i = MAX_FILES - 2; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) {
+                fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+            }
+        }
+
+        fs.renameSync(file, `${file}.1`);
+        currentSize = 0;
+    },
+
+    /**
+     * Reads the newest log entries, optionally filtered.
+     *
+     * @param {object} [options]
+     * @param {number} [options.lines=200] - The maximum number of entries to return.
+     * @param {string} [options.level] - The lowest level to include, e.g. "warn" for warnings and errors.
+     * @param {string} [options.namespace] - Only include entries from this namespace, e.g. "network".
+     * @returns {Array<object>} The entries, oldest first.
+     */
+    readLogEntries(options = {}) {
+        const lines = Math.max(1, Number(options.lines) || 200);
+        const minimumLevel = LOG_LEVELS.indexOf(options.level);
+        const entries = [];
+
+        for (const file of logFile.getLogFiles()) {
+            const fileEntries = fs
+                .readFileSync(file, "utf8")
+                .split("\n")
+                .filter(Boolean)
+                .map((line) => {
+                    try {
+                        return logFile.redactEntry(JSON.parse(line));
+                    } catch {
+                        return null;
+                    }
+                })
+                .filter((entry) => entry && LOG_LEVELS.indexOf(entry.level) >= minimumLevel)
+                .filter((entry) => !options.namespace || entry.namespace === options.namespace);
+
+            entries.unshift(...fileEntries);
+
+            if (entries.length >= lines) break;
+        }
+
+        return entries.slice(-lines);
+    },
+
+    /**
+     * Returns a short summary of the newest warnings and errors, small enough to send over BLE.
+     *
+     * @param {number} [lines=10]
+     * @returns {Array<object>} Entries with the short keys `t` (time), `l` (level), `n` (namespace) and `m` (message).
+     */
+    getLogTail(lines = 10) {
+        return logFile.readLogEntries({ lines: lines, level: "warn" }).map((entry) => ({
+            t: entry.time,
+            l: entry.level,
+            n: entry.namespace,
+            m: String(entry.message).slice(0, TAIL_MESSAGE_LENGTH),
+        }));
+    },
+
+    /**
+     * Returns the content of every log file, oldest first, for download.
+     *
+     * @returns {string}
+     */
+    exportLogs() {
+        return logFile
+            .getLogFiles()
+            .reverse()
+            .flatMap((file) => fs.readFileSync(file, "utf8").split("\n").filter(Boolean))
+            .map((line) => {
+                try {
+                    return JSON.stringify(logFile.redactEntry(JSON.parse(line)));
+                } catch {
+                    return line.replace(COMMAND_LINE_PATTERN, "$1[redacted]");
+                }
+            })
+            .map((line) => `${line}\n`)
+            .join("");
+    },
+
+    /**
+     * Removes command lines from the message of a log entry.
+     *
+     * `executeCommand` only logs the type of a failed command, see `redactCommandError`. Entries are also redacted when
+     * they are written, for errors from elsewhere, and when they are read, for entries written by older versions.
+     *
+     * @param {object} entry
+     * @returns {object}
+     */
+    redactEntry(entry) {
+        if (typeof entry.message !== "string") return entry;
+
+        return { ...entry, message: entry.message.replace(COMMAND_LINE_PATTERN, "$1[redacted]") };
+    },
+});
@@ -1,14 +1,29 @@
-const { rebootDevice, updateApp, updateFirmware, updateBleBridge, getSystemStats, setScreenRotation,
-    setScreenResolution, getAllScreenResolution, readBluetoothID, turnDisplayOff, updateDisplayConfiguration, 
-    setSettingsFromPlayerConfig, parseWiFiScanResults, sendDeviceInfoToMainWindow, setBluetoothID } = require("./utils");
+const { rebootDevice, getSystemStats, setScreenRotation,
+    setScreenResolution, getAllScreenResolution, readBluetoothID, 
+    setSettingsFromPlayerConfig, getPlayerConfig, sendDeviceInfo, sendDeviceInfoToMainWindow, setBluetoothID, describeDisplays, setHost, setTimezone } = require("./utils");
 
 const NetworkManager = require("./networkManager");
 const BleManager = require("./bleManager");
-
-const { app, BrowserWindow, ipcMain, globalShortcut } = require("electron");
-
-const { store } = require("./store");
-const { autoUpdater } = require("./autoUpdater");
+const OfflineCache = require("./offlineCache");
+const Watchdog = require("./watchdog");
+const Proxy = require("./proxy");
+const DisplaySchedule = require("./displaySchedule");
+const Maintenance = require("./maintenance");
+const UpdateChannel = require("./updateChannel");
+const ManagementApi = require("./managementApi");
+const Screenshot = require("./screenshot");
+const LogFile = require("./logFile");
+const Provisioning = require("./provisioning");
+const UsbProvisioning = require("./usbProvisioning");
+const Clock = require("./clock");
+const Audio = require("./audio");
+const Cec = require("./cec");
+const DisplayWindows = require("./displayWindows");
+
+const { app, BrowserWindow, ipcMain, globalShortcut, screen } = require("electron");
+
+const { store, validateSetting } = require("./store");
+const { logger } = require("./appsignal");
 const { setMainWindow, getWebContents, getMainWindow } = require('./windowManager');
 
 const pjson = require("../../package.json");
@@ -35,49 +50,57 @@ let systemStatsStream;
 const createWindow = async () => {
 
     await setSettingsFromPlayerConfig()
+    await Proxy.applyProxy()
+    UpdateChannel.applyUpdateChannel()
+    UpdateChannel.checkPendingUpdate()
 
-    const mainWindow = new BrowserWindow({
-        alwaysOnTop: false,
-        backgroundColor: '#000000',
-        width: 1920,
-        height: 1080,
-        frame: false,
-        show: false, 
-        webPreferences: {
-            nodeIntegration: false,
-            contextIsolation: true,
-            enableRemoteModule: false,
-            preload: path.join(__dirname, "preload.js"),
-        },
-    });
+    const mainWindow = DisplayWindows.createKioskWindow(screen.getPrimaryDisplay().bounds);
 
-    mainWindow.once('ready-to-show', () => {
-        mainWindow.kiosk = true
-        mainWindow.show()
-    })
+    OfflineCache.enableOfflineCache(mainWindow.webContents.session);
 
     // use to debug gpu settings
     //mainWindow.loadURL("chrome://gpu")
 
     if (store.get("firstTime", true)) {
-        NetworkManager.checkEthernetConnectionInterval()
         mainWindow.loadFile(path.join(__dirname, "../renderer/get_started/get_started.html"));
     } else {
         mainWindow.loadFile(path.join(__dirname, "../renderer/index/index.html"));
     }
 
     BleManager.enableBLE();
+    NetworkManager.startConnectivityMonitor();
+    DisplaySchedule.startDisplaySchedule();
+    Maintenance.startMaintenance();
+    ManagementApi.applyManagementApi();
+    UsbProvisioning.startUsbProvisioning();
+    Clock.startClockMonitor();
+    Audio.applyAudioSettings();
 
     setMainWindow(mainWindow)
+    DisplayWindows.openDisplayWindows();
+
+    Watchdog.watchWindow(mainWindow);
 
     mainWindow.on("closed", () => {
         setMainWindow(null);
     });
 
-    updateApp();
+    Maintenance.requestAppUpdate();
+
+    const config = await getPlayerConfig();
+
+    if (store.get("firstTime", true)) {
+        /* Every config has a host and language, see getPlayerConfig, and those are stored by setSettingsFromPlayerConfig.
+           Only the other settings provision the device and skip get started. */
+        const { host, language, ...settings } = config;
+        Provisioning.provisionDevice(settings);
+    } else {
+        NetworkManager.setNetworkFromPlayerConfig(config);
+    }
 };
 
 app.on("ready", () => {
+    Proxy.registerProxyLogin();
     createWindow();
 });
 
@@ -114,7 +137,7 @@ app.whenReady().then(() => {
     /* Update app */
     globalShortcut.register("CommandOrControl+U", () => {
         console.log("Checking and Updating App..");
-        updateApp();
+        Maintenance.requestAppUpdate(true);
     });
     
     /* Opens settings page */
@@ -124,7 +147,6 @@ app.whenReady().then(() => {
 
     /* Opens player page */
     globalShortcut.register("CommandOrControl+P", () => {
-        NetworkManager.stopEthernetInterval();
         getMainWindow().loadFile(path.join(__dirname, "../renderer/index/index.html"));
     });
 
@@ -139,11 +161,11 @@ app.whenReady().then(() => {
 
         if (devMode) {
             store.set("devMode", false);
-            autoUpdater.allowPrerelease = false;
+            UpdateChannel.setUpdateChannel("stable");
             getWebContents().send("devMode", false);
         } else {
             store.set("devMode", true);
-            autoUpdater.allowPrerelease = true;
+            UpdateChannel.setUpdateChannel("beta");
             getWebContents().send("devMode", true);
         }
     });
@@ -160,16 +182,46 @@ ipcMain.on("reboot_device", (event, arg) => {
 });
 
 ipcMain.on("request_device_info", async (event, arg) => {
-    sendDeviceInfoToMainWindow()
+    /* Every display has its own content, so the info goes to the window that asked */
+    reply(event, "send_device_info", await sendDeviceInfo());
 });
 
 ipcMain.on("upgrade_firmware", async (event, arg) => {
-    await updateBleBridge();
-    updateFirmware();
+    Maintenance.requestFirmwareUpgrade(arg && arg.force);
+});
+
+ipcMain.on("content_ready", (event, arg) => {
+    /* The watchdog watches the main window, see displayWindows.js for the other displays */
+    if (event.sender !== getWebContents()) return;
+
+    Watchdog.markContentReady();
+    UpdateChannel.confirmUpdate();
 });
 
 ipcMain.on("update_app", (event, arg) => {
-    updateApp();
+    Maintenance.requestAppUpdate(arg && arg.force);
+});
+
+ipcMain.on("set_update_channel", (_event, settings) => {
+    UpdateChannel.setUpdateChannel(settings);
+});
+
+ipcMain.on("get_management_api", (event, _arg) => {
+    reply(event, "management_api", ManagementApi.getManagementApiSettings());
+});
+
+ipcMain.on("set_management_api", (event, settings) => {
+    const result = ManagementApi.setManagementApiSettings(settings);
+    reply(event, "management_api", { ...ManagementApi.getManagementApiSettings(), error: result.error });
+});
+
+ipcMain.on("set_maintenance_window", (event, settings) => {
+    const result = Maintenance.setMaintenanceWindow(settings);
+    reply(event, "set_maintenance_window", result);
+});
+
+ipcMain.on("run_maintenance", (_event, _arg) => {
+    Maintenance.forceMaintenance();
 });
 
 ipcMain.on("pincode", (event, pincode) => {
@@ -177,11 +229,20 @@ ipcMain.on("pincode", (event, pincode) => {
 });
 
 ipcMain.on("wake", (event, arg) => {
-    updateDisplayConfiguration();
+    DisplaySchedule.setManualOverride(true);
 });
 
 ipcMain.on("sleep", (event, arg) => {
-    turnDisplayOff();
+    DisplaySchedule.setManualOverride(false);
+});
+
+ipcMain.on("set_display_schedule", (event, schedule) => {
+    DisplaySchedule.setDisplaySchedule(schedule);
+    reply(event, "display_schedule", DisplaySchedule.getDisplayScheduleStatus());
+});
+
+ipcMain.on("get_display_schedule", (event, _arg) => {
+    reply(event, "display_schedule", DisplaySchedule.getDisplayScheduleStatus());
 });
 
 ipcMain.on("factory_reset", (event, arg) => {
@@ -190,20 +251,48 @@ ipcMain.on("factory_reset", (event, arg) => {
 
 ipcMain.on("check_server_connection", async (event, arg) => {
     const status = await NetworkManager.checkConnectionToServer();
-    getWebContents().send("connect_to_network_status", status);
+    reply(event, "connect_to_network_status", status);
 });
 
-ipcMain.on("connect_to_network", async (_event, arg) => {
+ipcMain.on("connect_to_network", async (event, arg) => {
     const result = await NetworkManager.connectToNetwork(arg);
-    getWebContents().send("connect_to_network_status", result);
+    reply(event, "connect_to_network_status", result);
+});
+
+ipcMain.on("run_network_diagnostics", async (event, _arg) => {
+    const report = await NetworkManager.runNetworkDiagnostics();
+    reply(event, "network_diagnostics", report);
+});
+
+ipcMain.on("open_captive_portal", (_event, portalUrl) => {
+    NetworkManager.openCaptivePortalWindow(portalUrl);
+});
+
+ipcMain.on("get_saved_networks", async (event, _arg) => {
+    const savedNetworks = await NetworkManager.getSavedNetworks();
+    reply(event, "saved_networks", savedNetworks);
+});
+
+ipcMain.on("forget_network", async (event, ssid) => {
+    const savedNetworks = await NetworkManager.forgetNetwork(ssid);
+    reply(event, "saved_networks", savedNetworks);
+});
+
+ipcMain.on("set_network_priorities", async (event, ssids) => {
+    const savedNetworks = await NetworkManager.setNetworkPriorities(ssids);
+    reply(event, "saved_networks", savedNetworks);
+});
+
+ipcMain.on("configure_wired_enterprise", async (event, enterprise) => {
+    const result = await NetworkManager.configureWiredEnterprise(enterprise);
+    reply(event, "connect_to_network_status", result);
 });
 
 ipcMain.on("search_after_networks", async (event, arg) => {
-    const result = await NetworkManager.scanAvailableNetworks();
+    const result = await NetworkManager.getAvailableNetworks();
 
     if (result.success) {
-        const listOfNetworks = parseWiFiScanResults(result.stdout.toString());
-        getWebContents().send("list_of_networks", listOfNetworks);
+        reply(event, "list_of_networks", result.networks);
     }
 });
 
@@ -215,26 +304,47 @@ ipcMain.on("request_system_stats", (event, arg) => {
 
         systemStatsStream = setInterval(async () => {
             const systemStats = await getSystemStats();
-            getWebContents().send("recieve_system_stats", systemStats);
+            reply(event, "recieve_system_stats", systemStats);
         }, arg.interval);
     }
 
     const systemStats = getSystemStats();
-    getWebContents().send("recieve_system_stats", systemStats);
+    reply(event, "recieve_system_stats", systemStats);
+});
+
+ipcMain.on("request_screenshot", async (event, options) => {
+    const screenshot = await Screenshot.captureScreenshot(options);
+    reply(event, "screenshot", screenshot);
+});
+
+ipcMain.on("request_screenshot_thumbnails", (_event, options) => {
+    Screenshot.startThumbnails(options && options.interval);
+});
+
+ipcMain.on("request_logs", (event, options) => {
+    reply(event, "logs", LogFile.readLogEntries(options));
 });
 
-ipcMain.on("is_connecting", async (_event, arg) => {
-    getWebContents().send("is_connecting");
+ipcMain.on("export_logs", (event, _arg) => {
+    reply(event, "export_logs", LogFile.exportLogs());
 });
 
-ipcMain.on("connecting_result", async (_event, arg) => {
-    getWebContents().send("connect_to_network_status", arg);
+ipcMain.on("set_log_level", (_event, level) => {
+    logger.setLogLevel(level);
 });
 
+ipcMain.on("is_connecting", async (event, arg) => {
+    reply(event, "is_connecting");
+});
+
+ipcMain.on("connecting_result", async (event, arg) => {
+    reply(event, "connect_to_network_status", arg);
+});
 
-ipcMain.on("getFromStore", (_event, key) => {
+
+ipcMain.on("getFromStore", (event, key) => {
     const value = store.get(key);
-    getWebContents().send(key, value);
+    reply(event, key, value);
 });
 
 ipcMain.on("set_screen_rotation", async (_event, rotation) => {
@@ -249,47 +359,134 @@ ipcMain.on("set_screen_resolution", async (event, resolution) => {
 
 ipcMain.on("get_screen_resolutions", async (event, arg) => {
     const screenResolutions = await getAllScreenResolution();
-    getWebContents().send("get_screen_resolutions", screenResolutions);    
+    reply(event, "get_screen_resolutions", screenResolutions);    
 });
 
 ipcMain.on("set_lang", (_event, lang) => {
+    const error = validateSetting("lang", lang);
+
+    if (error) {
+        logger.logError(error, "set_lang", "main");
+        return;
+    }
+
     store.set("lang", lang);
 });
 
-ipcMain.on("get_bluetooth_id", async () => {
+ipcMain.on("get_bluetooth_id", async (event) => {
     const bluetooth_id = await readBluetoothID()
-    getWebContents().send("get_bluetooth_id", bluetooth_id);    
+    reply(event, "get_bluetooth_id", bluetooth_id);    
 });
 
 ipcMain.on("set_host", (event, data) => {
-    store.set("host", data.host);
+    const result = setHost(data.host);
 
-    if (data.reload) {
-        getWebContents().reload();
+    if (result.success && data.reload) {
+        DisplayWindows.reloadWindows();
     }
 });
 
+ipcMain.on("get_provisioning_status", (event) => {
+    reply(event, "provisioning_status", Provisioning.getProvisioningStatus());
+});
+
 ipcMain.on("go_to_screen", (_event, _arg) => {
     store.set("firstTime", false);
-    NetworkManager.stopEthernetInterval();
     getMainWindow().loadFile(path.join(__dirname, "../renderer/index/index.html"));
 });
 
 ipcMain.on("connect_to_dns", async (event, dns) => {
-    getWebContents().send("dns_registerering");
-    const result = await NetworkManager.addDNS(dns);
+    reply(event, "dns_registerering");
+    const result = await NetworkManager.setDNS(dns);
+    reply(event, "dns_registred", result.success);
+});
+
+ipcMain.on("set_proxy", async (event, settings) => {
+    const result = await Proxy.setProxySettings(settings);
+    reply(event, "set_proxy", result);
+
     if (result.success) {
-        store.set("dns", dns)
+        ipcMain.emit("check_server_connection", event);
     }
-    getWebContents().send("dns_registred", result.success);
 });
 
-ipcMain.on("ethernet_status", (_event, result) => {
-    getWebContents().send("connect_to_network_status", result);
+ipcMain.on("get_clock_status", async (event) => {
+    reply(event, "clock_status", await Clock.getClockStatus());
+});
+
+ipcMain.on("set_timezone", async (event, timezone) => {
+    const result = await setTimezone(timezone);
+    reply(event, "clock_status", { ...(await Clock.getClockStatus()), error: result.error });
+});
+
+ipcMain.on("set_ntp_server", async (event, server) => {
+    const result = await Clock.setNtpServer(server || null);
+    reply(event, "clock_status", { ...(await Clock.getClockStatus()), error: result.error });
+});
+
+ipcMain.on("get_audio_status", async (event) => {
+    reply(event, "audio_status", await Audio.getAudioStatus());
+});
+
+ipcMain.on("set_volume", async (event, volume) => {
+    const result = await Audio.setVolume(volume);
+    reply(event, "audio_status", { ...(await Audio.getAudioStatus()), error: result.error });
+});
+
+ipcMain.on("mute", async (event, muted) => {
+    const result = await Audio.setMuted(muted);
+    reply(event, "audio_status", { ...(await Audio.getAudioStatus()), error: result.error });
+});
+
+ipcMain.on("set_audio_output", async (event, output) => {
+    const result = await Audio.setAudioOutput(output);
+    reply(event, "audio_status", { ...(await Audio.getAudioStatus()), error: result.error });
+});
+
+ipcMain.on("get_cec_status", async (event) => {
+    reply(event, "cec_status", await Cec.getCecStatus());
+});
+
+ipcMain.on("set_cec", async (event, settings) => {
+    const result = Cec.setCecEnabled(settings && settings.enabled);
+    reply(event, "cec_status", { ...(await Cec.getCecStatus()), error: result.error });
+});
+
+ipcMain.on("get_display_settings", async (event) => {
+    reply(event, "display_settings", await DisplayWindows.getContentSettings(event.sender));
+});
+
+ipcMain.on("set_display_settings", async (event, data) => {
+    const display = data.display || (await DisplayWindows.getContentSettings(event.sender)).display;
+    const result = await DisplayWindows.setDisplaySettings(display, data.settings);
+    reply(event, "display_status", { displays: await describeDisplays(), error: result.error });
 });
 
-ipcMain.on("remove_mouse", (_event, _arg) => {
-    getWebContents().sendInputEvent({
+ipcMain.on("get_ip_configuration", async (event, connection) => {
+    const configuration = await NetworkManager.getIpConfiguration(connection);
+    reply(event, "get_ip_configuration", configuration);
+});
+
+ipcMain.on("set_ip_configuration", async (event, config) => {
+    const result = await NetworkManager.setIpConfiguration(config);
+    reply(event, "set_ip_configuration", result);
+});
+
+ipcMain.on("connectivity_changed", (event, status) => {
+    reply(event, "connectivity_changed", status);
+});
+
+ipcMain.on("get_connectivity_status", (event) => {
+    const status = NetworkManager.getConnectivityStatus();
+
+    /* Until the first check is done, the monitor emits the status when it is known */
+    if (status.state !== null) {
+        reply(event, "connectivity_changed", status);
+    }
+});
+
+ipcMain.on("remove_mouse", (event, _arg) => {
+    event.sender.sendInputEvent({
         type: "mouseMove",
         x: 100,
         y: 100,
@@ -313,11 +510,23 @@ ipcMain.on("create_qr_code", async (event, options) => {
     };
 
     QRCode.toDataURL(qrcodeURI, opts, (err, url) => {
-        getWebContents().send("create_qr_code", url);
+        reply(event, "create_qr_code", url);
     });
 });
 
 
+/**
+ * Replies to the window that sent a message. Messages emitted from the main process, e.g. by the management API or
+ * over Bluetooth, have no sender, and get the reply in the main window.
+ */
+function reply(event, channel, ...args) {
+    const webContents = event && event.sender ? event.sender : getWebContents();
+
+    if (webContents && !webContents.isDestroyed()) {
+        webContents.send(channel, ...args);
+    }
+}
+
 async function factoryReset() {
     /* https://medium.com/how-to-electron/how-to-reset-application-data-in-electron-48bba70b5a49 */
     store.clear();
@@ -334,6 +543,8 @@ async function factoryReset() {
         console.log('Cache cleared!');
     });
 
+    OfflineCache.clearOfflineCache();
+
     await NetworkManager.resetAllConnections();
     await setScreenRotation("normal");
     await setScreenResolution("1920x1080");
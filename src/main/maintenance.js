@@ -0,0 +1,211 @@
+const os = require("os");
+
+const { updateFirmware, updateBleBridge, rebootDevice } = require("./utils");
+const { autoUpdater } = require("./autoUpdater");
+const { prepareRollback } = require("./updateChannel");
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CHECK_INTERVAL = 60 * 1000;
+
+let maintenanceInterval;
+let downloadedVersion = null;
+let forceAppInstall = false;
+
+const maintenance = (module.exports = {
+    /**
+     * Starts the maintenance scheduler.
+     *
+     * App updates are still downloaded in the background as soon as they are found, but installing them,
+     * firmware upgrades and periodic reboots are held back until the maintenance window opens.
+     * Pending tasks are checked every minute.
+     *
+     * @returns {void}
+     */
+    startMaintenance() {
+        if (maintenanceInterval) return;
+
+        autoUpdater.on("update-downloaded", (info) => {
+            downloadedVersion = info.version;
+
+            if (forceAppInstall || maintenance.isInMaintenanceWindow()) {
+                maintenance.installAppUpdate();
+            } else {
+                logger.info("App update downloaded, installing in the next maintenance window", "maintenance", { version: info.version });
+            }
+        });
+
+        autoUpdater.on("update-not-available", () => {
+            forceAppInstall = false;
+        });
+
+        maintenanceInterval = setInterval(() => maintenance.runMaintenance(), CHECK_INTERVAL);
+    },
+
+    /**
+     * Returns the stored maintenance window.
+     *
+     * @returns {object} The maintenance window:
+     *   - `enabled` {boolean}: Whether tasks are held back until the window. When disabled they run right away.
+     *   - `start` {string}: When the window opens, e.g. "02:00".
+     *   - `end` {string}: When the window closes, e.g. "05:00". May be earlier than `start` for a window past midnight.
+     *   - `rebootIntervalDays` {number}: Reboot in the window when the device has been up this many days. 0 disables periodic reboots.
+     */
+    getMaintenanceWindow() {
+        return store.get("maintenanceWindow", { enabled: false, start: "02:00", end: "05:00", rebootIntervalDays: 0 });
+    },
+
+    /**
+     * Validates and stores a new maintenance window.
+     *
+     * @param {object} settings - The maintenance window, see `getMaintenanceWindow`.
+     * @returns {object} An object with `success`, and an `error` if the settings are invalid.
+     */
+    setMaintenanceWindow(settings) {
+        if (!settings || !TIME_PATTERN.test(settings.start) || !TIME_PATTERN.test(settings.end) || settings.start === settings.end) {
+            return { type: "maintenance window", success: false, error: "Start and end must be different times in the format HH:MM" };
+        }
+
+        const rebootIntervalDays = Number(settings.rebootIntervalDays || 0);
+
+        if (!Number.isInteger(rebootIntervalDays) || rebootIntervalDays < 0) {
+            return { type: "maintenance window", success: false, error: "rebootIntervalDays must be a whole number of days" };
+        }
+
+        store.set("maintenanceWindow", {
+            enabled: settings.enabled !== false,
+            start: settings.start,
+            end: settings.end,
+            rebootIntervalDays: rebootIntervalDays,
+        });
+
+        return { type: "maintenance window", success: true };
+    },
+
+    /**
+     * Checks whether maintenance tasks are allowed to run at a given time.
+     *
+     * @param {Date} [date=new Date()]
+     * @returns {boolean} `true` inside the window, or always when the window is disabled.
+     */
+    isInMaintenanceWindow(date = new Date()) {
+        const window = maintenance.getMaintenanceWindow();
+
+        if (!window.enabled) return true;
+
+        const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+
+        if (window.start < window.end) {
+            return window.start <= time && time < window.end;
+        }
+
+        return time >= window.start || time < window.end;
+    },
+
+    /**
+     * Checks for an app update. The update is downloaded right away, and installed in the maintenance window.
+     *
+     * @param {boolean} [force=false] - Install the update as soon as it is downloaded, regardless of the window.
+     * @returns {void}
+     */
+    requestAppUpdate(force = false) {
+        forceAppInstall = force;
+
+        if (force && downloadedVersion) {
+            maintenance.installAppUpdate();
+            return;
+        }
+
+        try {
+            autoUpdater.checkForUpdates();
+        } catch (error) {
+            logger.logError(error, "requestAppUpdate", "maintenance");
+        }
+    },
+
+    /**
+     * Upgrades the firmware, or marks it as pending until the maintenance window.
+     *
+     * The pending upgrade is kept in the store, so it is not lost if the app restarts before the window.
+     *
+     * @async
+     * @param {boolean} [force=false] - Upgrade right away, regardless of the window.
+     * @returns {Promise<void>}
+     */
+    async requestFirmwareUpgrade(force = false) {
+        if (force || maintenance.isInMaintenanceWindow()) {
+            await maintenance.upgradeFirmware();
+        } else {
+            logger.info("Firmware upgrade requested, upgrading in the next maintenance window", "maintenance");
+            store.set("pendingFirmwareUpgrade", true);
+        }
+    },
+
+    /**
+     * Runs every pending task right away, regardless of the window.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async forceMaintenance() {
+        await maintenance.runMaintenance(true);
+    },
+
+    /**
+     * Runs the pending tasks if the maintenance window is open.
+     *
+     * Only one task that restarts the app or device runs at a time. A pending app update is installed
+     * first, and a pending firmware upgrade is picked up after the app has restarted.
+     *
+     * @async
+     * @param {boolean} [force=false] - Run the pending tasks even if the window is closed.
+     * @returns {Promise<void>}
+     */
+    async runMaintenance(force = false) {
+        if (!force && !maintenance.isInMaintenanceWindow()) return;
+
+        if (downloadedVersion) {
+            maintenance.installAppUpdate();
+            return;
+        }
+
+        if (store.get("pendingFirmwareUpgrade", false)) {
+            await maintenance.upgradeFirmware();
+            return;
+        }
+
+        const { enabled, rebootIntervalDays } = maintenance.getMaintenanceWindow();
+
+        if (enabled && rebootIntervalDays > 0 && os.uptime() >= rebootIntervalDays * 24 * 60 * 60) {
+            logger.info(`Device has been up for more than ${rebootIntervalDays} days, rebooting`, "maintenance");
+            rebootDevice();
+        }
+    },
+
+    /**
+     * Installs the downloaded app update and restarts the app.
+     *
+     * A copy of the running version is kept first, so the update can be rolled back if it does not work.
+     *
+     * @returns {void}
+     */
+    installAppUpdate() {
+        logger.info(`Installing app update ${downloadedVersion}`, "maintenance");
+        prepareRollback(downloadedVersion);
+        autoUpdater.quitAndInstall();
+    },
+
+    /**
+     * Updates the BLE bridge and the firmware. The device reboots when the firmware upgrade succeeds.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async upgradeFirmware() {
+        store.delete("pendingFirmwareUpgrade");
+
+        await updateBleBridge();
+        await updateFirmware();
+    },
+});
@@ -0,0 +1,253 @@
+const { ipcMain } = require("electron");
+const http = require("http");
+const crypto = require("crypto");
+
+const { getSystemStats, sendDeviceInfo, setScreenRotation, setScreenResolution, getAllScreenResolution, setHost } = require("./utils");
+const { reloadWindows } = require("./displayWindows");
+const NetworkManager = require("./networkManager");
+const { requestAppUpdate } = require("./maintenance");
+const { captureScreenshot } = require("./screenshot");
+const { logger } = require("./appsignal");
+const { store, validateSetting } = require("./store");
+
+const DEFAULT_PORT = 8080;
+const MAX_BODY_SIZE = 64 * 1024;
+
+let server = null;
+
+const managementApi = (module.exports = {
+    /**
+     * Starts or stops the management API to match the stored settings.
+     *
+     * @returns {void}
+     */
+    applyManagementApi() {
+        const settings = managementApi.getManagementApiSettings();
+
+        managementApi.stopManagementApi();
+
+        if (settings.enabled) {
+            managementApi.startManagementApi(settings.port);
+        }
+    },
+
+    /**
+     * Returns the stored management API settings.
+     *
+     * @returns {object} The settings:
+     *   - `enabled` {boolean}: Whether the API is served on the local network.
+     *   - `port` {number}: The port the API listens on.
+     *   - `token` {string|null}: The device token clients must send as `Authorization: Bearer <token>`.
+     */
+    getManagementApiSettings() {
+        return store.get("managementApi", { enabled: false, port: DEFAULT_PORT, token: null });
+    },
+
+    /**
+     * Validates, stores and applies new management API settings.
+     *
+     * A token is generated when the API is enabled without one.
+     *
+     * @param {object} settings - The settings, see `getManagementApiSettings`. Missing fields keep their current value.
+     * @returns {object} An object with `success`, and an `error` if the settings are invalid.
+     */
+    setManagementApiSettings(settings) {
+        const current = managementApi.getManagementApiSettings();
+        const updated = { ...current, ...settings };
+
+        updated.port = Number(updated.port);
+
+        if (!Number.isInteger(updated.port) || updated.port < 1024 || updated.port > 65535) {
+            return { type: "management api", success: false, error: `Invalid port: ${settings.port}. Use a port between 1024 and 65535` };
+        }
+
+        if (updated.token !== null && (typeof updated.token !== "string" || updated.token.length < 16)) {
+            return { type: "management api", success: false, error: "The token must be at least 16 characters" };
+        }
+
+        if (updated.enabled && !updated.token) {
+            updated.token = crypto.randomBytes(24).toString("hex");
+        }
+
+        store.set("managementApi", { enabled: updated.enabled === true, port: updated.port, token: updated.token });
+        managementApi.applyManagementApi();
+
+        return { type: "management api", success: true };
+    },
+
+    /**
+     * Starts the HTTP server.
+     *
+     * @param {number} port
+     * @returns {void}
+     */
+    startManagementApi(port) {
+        server = http.createServer((request, response) => managementApi.handleRequest(request, response));
+
+        server.on("error", (error) => {
+            logger.logError(error, "startManagementApi", "managementApi");
+        });
+
+        server.listen(port, () => {
+            logger.info(`Listening on port ${port}`, "managementApi");
+        });
+    },
+
+    stopManagementApi() {
+        if (server) {
+            server.close();
+            server = null;
+        }
+    },
+
+    /**
+     * Authenticates a request and passes it on to its route.
+     *
+     * @async
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @returns {Promise<void>}
+     */
+    async handleRequest(request, response) {
+        if (!managementApi.isAuthorized(request)) {
+            return managementApi.sendJson(response, 401, { error: "Missing or invalid device token" });
+        }
+
+        const { pathname } = new URL(request.url, "http://localhost");
+        const route = managementApi.routes[`${request.method} ${pathname}`];
+
+        if (!route) {
+            return managementApi.sendJson(response, 404, { error: `No route for ${request.method} ${pathname}` });
+        }
+
+        try {
+            const body = ["POST", "PUT"].includes(request.method) ? await managementApi.readJsonBody(request) : {};
+            const result = await route(body);
+
+            managementApi.sendJson(response, 200, result === undefined ? { success: true } : result);
+        } catch (error) {
+            if (!error.statusCode) {
+                logger.logError(error, `${request.method} ${pathname}`, "managementApi");
+            }
+
+            managementApi.sendJson(response, error.statusCode || 500, { error: error.message });
+        }
+    },
+
+    /**
+     * Checks the bearer token of a request against the device token, in constant time.
+     *
+     * @param {http.IncomingMessage} request
+     * @returns {boolean}
+     */
+    isAuthorized(request) {
+        const { token } = managementApi.getManagementApiSettings();
+        const [scheme, value] = (request.headers["authorization"] || "").split(" ");
+
+        if (!token || scheme !== "Bearer" || !value) return false;
+
+        const expected = Buffer.from(token);
+        const received = Buffer.from(value);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    /**
+     * Reads and parses the JSON body of a request.
+     *
+     * A body larger than `MAX_BODY_SIZE` is rejected with 413. The rest of it is still read and discarded, since
+     * destroying the request would also drop the response before it reaches the client.
+     *
+     * @param {http.IncomingMessage} request
+     * @returns {Promise<object>} The parsed body, or an empty object if there is none.
+     */
+    readJsonBody(request) {
+        return new Promise((resolve, reject) => {
+            let body = "";
+            let tooLarge = false;
+
+            request.on("data", (chunk) => {
+                if (tooLarge) return;
+
+                body += chunk;
+
+                if (body.length > MAX_BODY_SIZE) {
+                    tooLarge = true;
+                    body = "";
+                    reject(Object.assign(new Error("Request body is too large"), { statusCode: 413 }));
+                }
+            });
+
+            request.on("end", () => {
+                if (tooLarge) return;
+
+                let data;
+
+                try {
+                    data = body ? JSON.parse(body) : {};
+                } catch {
+                    return reject(Object.assign(new Error("Request body is not valid JSON"), { statusCode: 400 }));
+                }
+
+                if (data === null || typeof data !== "object" || Array.isArray(data)) {
+                    return reject(Object.assign(new Error("Request body must be a JSON object"), { statusCode: 400 }));
+                }
+
+                resolve(data);
+            });
+
+            request.on("error", reject);
+        });
+    },
+
+    sendJson(response, statusCode, data) {
+        response.writeHead(statusCode, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(data));
+    },
+
+    /**
+     * The API routes, keyed by method and path. Every route takes the parsed JSON body and returns the response data.
+     *
+     * Settings are changed with the same functions the settings page uses, and their result is returned. Reboot and
+     * factory reset are emitted on `ipcMain`, since the response has to reach the client before they run.
+     */
+    routes: {
+        "GET /api/device-info": () => sendDeviceInfo(),
+        "GET /api/system-stats": () => getSystemStats(),
+        "GET /api/screen-resolutions": () => getAllScreenResolution(),
+        "GET /api/screenshot": async () => {
+            const screenshot = await captureScreenshot();
+            if (!screenshot) throw Object.assign(new Error("The screen could not be captured"), { statusCode: 503 });
+            return screenshot;
+        },
+        "GET /api/networks": () => NetworkManager.getAvailableNetworks(),
+        "POST /api/networks/connect": (body) => {
+            if (typeof body.ssid !== "string" || !body.ssid) throw Object.assign(new Error("Missing ssid"), { statusCode: 400 });
+            return NetworkManager.connectToNetwork(body);
+        },
+        "PUT /api/host": (body) => {
+            const result = setHost(body.host);
+            if (!result.success) throw Object.assign(new Error(result.error), { statusCode: 400 });
+            reloadWindows();
+            return result;
+        },
+        "PUT /api/rotation": (body) => setScreenRotation(body.rotation),
+        "PUT /api/resolution": (body) => {
+            if (!/^\d+x\d+$/.test(body.resolution)) throw Object.assign(new Error("Invalid resolution, e.g. 1920x1080"), { statusCode: 400 });
+            return setScreenResolution(body.resolution);
+        },
+        "PUT /api/dns": async (body) => {
+            const error = validateSetting("dns", body.dns);
+            if (error) throw Object.assign(new Error(error), { statusCode: 400 });
+            return NetworkManager.setDNS(body.dns);
+        },
+        "POST /api/update": (body) => requestAppUpdate(body.force === true),
+        "POST /api/reboot": () => {
+            /* Gives the response time to reach the client first */
+            setTimeout(() => ipcMain.emit("reboot_device"), 1000);
+        },
+        "POST /api/factory-reset": () => {
+            setTimeout(() => ipcMain.emit("factory_reset"), 1000);
+        },
+    },
+});
@@ -1,33 +1,104 @@
 const quote = require("shell-quote/quote");
-
-const { executeCommand } = require("./utils.js");
-const { ipcMain } = require("electron");
-const { store } = require("./store");
-
-let lastConnectionSSID;
-let ethernetInterval;
+const nodeChildProcess = require("child_process");
+const path = require("path");
+const net = require("net");
+const dns = require("dns").promises;
+const tls = require("tls");
+const fs = require("fs");
+
+const { executeCommand, parseWiFiScanResults } = require("./utils.js");
+const { runCommand } = require("./command");
+const { getWebContents, getMainWindow } = require("./windowManager");
+const { getCurlProxyArguments } = require("./proxy");
+const { logger } = require("./appsignal");
+const { app, ipcMain, BrowserWindow } = require("electron");
+const { store, validateSetting } = require("./store");
+
+const CONNECTIVITY = {
+    OFFLINE: "offline",
+    LINK_UP: "link-up",
+    CAPTIVE_PORTAL: "captive-portal",
+    INTERNET: "internet",
+    SERVER_REACHABLE: "server-reachable",
+};
+
+const ENTERPRISE_EAP_METHODS = ["peap", "ttls", "tls"];
+const CONNECTION_TIMEOUT = 45;
+const SERVER_CHECK_TIMEOUT = 10;
+const PENDING_CONNECTION_SUFFIX = " (pending)";
+const MAX_CLOCK_SKEW = 60;
+const MAX_LATENCY = 2000;
+const CAPTIVE_PORTAL_PROBE_URL = "http://connectivitycheck.gstatic.com/generate_204";
+const CAPTIVE_PORTAL_CHECK_INTERVAL = 5 * 1000;
+
+const CONNECTION_FAILURE = {
+    WRONG_PASSWORD: "wrong_password",
+    NETWORK_NOT_FOUND: "network_not_found",
+    TIMEOUT: "timeout",
+    NO_DHCP_LEASE: "no_dhcp_lease",
+    SERVER_UNREACHABLE: "server_unreachable",
+    CAPTIVE_PORTAL: "captive_portal",
+    UNKNOWN: "unknown",
+};
+
+let networkMonitor;
+let connectivityCheck;
+let connectivityDebounce;
+let connectivityTimeout;
+let connectivityStatus = { state: null, connectionType: null, connectionName: null, portalUrl: null };
+let captivePortalWindow = null;
+let captivePortalInterval;
 
 const networkManager = (module.exports = {
+    CONNECTIVITY,
+    CONNECTION_FAILURE,
+
     /**
-     * Scans available Wi-Fi networks and retrieves the SSID and security information.
+     * Scans available Wi-Fi networks and retrieves the SSID, security, signal, frequency, channel and BSSID
+     * of every access point.
      * 
-     * This function runs the `nmcli` command to list available Wi-Fi networks, including their SSID
-     * and security settings, in a terse format. It returns the output of the scan, which can then be 
-     * parsed to extract relevant network details such as network names (SSIDs) and their security protocols.
+     * This function runs the `nmcli` command to list available Wi-Fi networks in a terse multiline format.
+     * It returns the output of the scan, which can then be parsed with `parseWiFiScanResults`.
      * 
-     * @returns {Promise<string>} A promise that resolves with the output of the `nmcli` command, which includes
-     *   a list of available Wi-Fi networks along with their SSID and security information.
+     * @returns {Promise<object>} A promise that resolves with the result of the `nmcli` command.
      * 
      * @example
      * const networkList = await scanAvailableNetworks();
-     * console.log(networkList);
-     * // Output: "SSID: Network1\nSECURITY: WPA2\nSSID: Network2\nSECURITY: WEP"
+     * console.log(networkList.stdout);
+     * // Output: "SSID:Network1\nSECURITY:WPA2\nSIGNAL:72\nFREQ:5180 MHz\nCHAN:36\nBSSID:AA\\:BB\\:CC\\:DD\\:EE\\:FF\n..."
      */
     async scanAvailableNetworks() {
-        const command = "nmcli --fields SSID,SECURITY --terse --mode multiline dev wifi list";
+        const command = "nmcli --fields SSID,SECURITY,SIGNAL,FREQ,CHAN,BSSID --terse --mode multiline dev wifi list";
         return await executeCommand(command);
     },
 
+    /**
+     * Scans for Wi-Fi networks and returns them parsed, strongest first, marking the ones that are already saved.
+     * 
+     * @returns {Promise<object>} An object with `success` and `networks`, see `parseWiFiScanResults`.
+     */
+    async getAvailableNetworks() {
+        const scan = await networkManager.scanAvailableNetworks();
+
+        if (!scan.success) {
+            return { success: false, networks: [] };
+        }
+
+        const savedSSIDs = await networkManager.getSavedSSIDs();
+
+        return { success: true, networks: parseWiFiScanResults(scan.stdout.toString(), savedSSIDs) };
+    },
+
+    /**
+     * Retrieves the SSIDs of the saved Wi-Fi connections.
+     * 
+     * @returns {Promise<Array<string>>}
+     */
+    async getSavedSSIDs() {
+        const savedNetworks = await networkManager.getSavedNetworks();
+        return savedNetworks.map((network) => network.ssid);
+    },
+
     /**
      * Retrieves the SSID of the active Wi-Fi network.
      * 
@@ -65,20 +136,20 @@ const networkManager = (module.exports = {
     /**
      * Connects to a specified Wi-Fi network based on its security type and other options.
      * 
-     * This function determines the security type of the network (e.g., WPA or unsecured) and 
-     * connects to the network accordingly. If the network is hidden, it will attempt to connect 
-     * to the hidden network. If the network is WPA secured, it will require a password. 
-     * For unsecured networks, no password is required. 
+     * This function determines the security type of the network (open, WEP, WPA2-PSK, WPA3-SAE,
+     * transition mode or enterprise) and connects to the network accordingly, whether it is visible or
+     * hidden. If the connection fails, the result contains a `reason` describing why, see `CONNECTION_FAILURE`.
      * 
-     * It also ensures that any previous active connection (from a different SSID) is deleted 
-     * before connecting to the new network.
+     * Previously saved networks are kept, and the new network gets the highest autoconnect priority,
+     * see `getSavedNetworks`.
      * 
      * @param {Object} data - The data object containing network connection details.
      * @param {string} data.ssid - The SSID (network name) of the Wi-Fi network to connect to.
      * @param {string} [data.password] - The password for the Wi-Fi network (if secured).
-     * @param {string} [data.security=""] - The security type of the Wi-Fi network (e.g., WPA, WEP).
+     * @param {string} [data.security=""] - The security type of the Wi-Fi network as reported by the scan (e.g., "WPA2", "WPA2 WPA3", "WEP").
      * @param {Object} [data.options={}] - Additional options for network connection.
      * @param {boolean} [data.options.hidden=false] - Whether the network is a hidden SSID.
+     * @param {Object} [data.enterprise] - An 802.1X profile for WPA2/WPA3-Enterprise networks, see `buildEnterpriseSettings`.
      * 
      * @returns {Promise} A promise that resolves when the network connection is successful.
      * 
@@ -100,22 +171,12 @@ const networkManager = (module.exports = {
 
         ipcMain.emit("is_connecting");
 
-        // Disconnect from previous network if any
-        if (lastConnectionSSID != null) {
-            await networkManager.deleteConnectionBySSID(lastConnectionSSID);
-        }
-
-        lastConnectionSSID = ssid;
-
-        if (options.hidden) {
-            // Connect to hidden network if specified
-            result = await networkManager.connectToHiddenNetwork(ssid, password);
-        } else if (security.includes("WPA") && password) {
-            // Connect to WPA secured network if password is provided
-            result = await networkManager.connectToWPANetwork(ssid, password);
+        if (data.enterprise) {
+            // Connect to WPA2/WPA3-Enterprise network with an 802.1X profile
+            result = await networkManager.connectToEnterpriseNetwork(ssid, data.enterprise, options.hidden);
         } else {
-            // Connect to unsecured network
-            result = await networkManager.connectToUnsecureNetwork(ssid);
+            // Connect to open, WEP or personal network, visible or hidden
+            result = await networkManager.connectToWifiNetwork(ssid, password, security, options.hidden);
         }
 
         ipcMain.emit("connecting_result", null, result);
@@ -123,184 +184,527 @@ const networkManager = (module.exports = {
     },
 
     /**
-     * Function for resolving a connection attempt
-     * @param {JSONObject} connection
+     * Function for resolving a connection attempt. If the connection could not be activated, or the server
+     * can not be reached through it, the new profile is deleted and the result gets a failure `reason`.
+     * Otherwise the new profile replaces any saved profile for the network.
+     * @param {JSONObject} connection - The result of adding and activating the connection
      * @param {String} ssid
      * @returns {JSONObject}
      */
     async resolveNetworkConnection(connection, ssid) {
-        if (connection.success) {
-            /* Connection succesful added */
+        const pendingName = `${ssid}${PENDING_CONNECTION_SUFFIX}`;
 
-            /* Checks and wait if connection is active */
-            const activeConnection = await networkManager.waitForActiveConnection(ssid);
+        if (!connection.success) {
+            /* Connection could not be added or activated, the saved profile is kept */
+            networkManager.deleteConnectionBySSID(pendingName);
 
-            if (activeConnection.success) {
-                /* Connection is active */
+            return networkManager.describeConnectionFailure(connection);
+        }
 
-                /* Attemps to connect to server */
-                const serverConnectionResult = await networkManager.attemptServerConnection();
+        /* Attemps to connect to server */
+        const serverConnectionResult = await networkManager.attemptServerConnection();
 
-                if (serverConnectionResult.success && serverConnectionResult.stdout.toString() === "1") {
-                    /* Successfully pings server */
-                    return serverConnectionResult;
-                } else {
-                    /* cant connect to server, may be wrong password */
-                    networkManager.deleteConnectionBySSID(ssid);
+        if (serverConnectionResult.success && serverConnectionResult.stdout.toString() === "1") {
+            /* Successfully pings server */
+            await networkManager.replaceConnection(pendingName, ssid);
+            return serverConnectionResult;
+        }
 
-                    return serverConnectionResult;
-                }
-            } else {
-                /* Connection is not active, deletes connection */
-                networkManager.deleteConnectionBySSID(ssid);
+        if (connectivityStatus.state === CONNECTIVITY.CAPTIVE_PORTAL) {
+            /* Connected, but the network requires a login first. Keeps the connection so the portal can be opened */
+            await networkManager.replaceConnection(pendingName, ssid);
+            return { ...serverConnectionResult, success: false, reason: CONNECTION_FAILURE.CAPTIVE_PORTAL, portalUrl: connectivityStatus.portalUrl };
+        }
 
-                return activeConnection;
-            }
-        } else {
-            /* Connection unsuccesful added */
-            return connection;
+        /* Connected to the network, but the server can not be reached through it */
+        networkManager.deleteConnectionBySSID(pendingName);
+
+        return { ...serverConnectionResult, success: false, reason: CONNECTION_FAILURE.SERVER_UNREACHABLE };
+    },
+
+    /**
+     * Adds a reason to a failed connection result, based on the error output from `nmcli`.
+     *
+     * The result `type` is set to `802-11-wireless-security.psk` for a wrong password, which is what
+     * the settings page and the phone app have used to detect it.
+     *
+     * @param {object} result - A failed result from `executeCommand`.
+     * @returns {object} The result with a `reason`.
+     */
+    describeConnectionFailure(result) {
+        if (result.reason) return result;
+
+        const output = [result.stderr, result.error && result.error.stderr, result.error && result.error.message, result.error].filter((text) => typeof text === "string").join("\n");
+        let reason = CONNECTION_FAILURE.UNKNOWN;
+
+        if (/Secrets were required|psk: property is invalid|wep-key0: property is invalid|802-11-wireless-security/i.test(output)) {
+            reason = CONNECTION_FAILURE.WRONG_PASSWORD;
+        } else if (/No network with SSID|not found|SSID not found|could not be found/i.test(output)) {
+            reason = CONNECTION_FAILURE.NETWORK_NOT_FOUND;
+        } else if (/IP configuration could not be reserved|DHCP/i.test(output)) {
+            reason = CONNECTION_FAILURE.NO_DHCP_LEASE;
+        } else if (/Timeout|timed out/i.test(output)) {
+            reason = CONNECTION_FAILURE.TIMEOUT;
         }
+
+        return {
+            ...result,
+            type: reason === CONNECTION_FAILURE.WRONG_PASSWORD ? "802-11-wireless-security.psk" : result.type,
+            reason: reason,
+        };
     },
 
     /**
-     * Function for connection to a unsecure network
+     * Builds the `wifi-sec` arguments for `nmcli` from the security reported by the scan.
+     *
+     * - Open networks get no security settings, and OWE networks use `owe`.
+     * - WEP networks use a WEP key, either as a hex/ASCII key or as a passphrase.
+     * - WPA3-only networks use `sae`.
+     * - WPA2/WPA3 transition mode networks use `wpa-psk`, since SAE is not supported by every driver
+     *   and transition mode access points accept both.
+     * - WPA and WPA2 networks use `wpa-psk`.
+     *
+     * Hidden networks are not in the scan, so if no security is known it is guessed from whether a password is given.
+     *
+     * @param {string} security - The security type from the scan (e.g., "WPA2", "WPA2 WPA3", "WEP"), or empty.
+     * @param {string} [password]
+     * @returns {Array<string>} The `nmcli` arguments for the security settings.
+     */
+    buildSecuritySettings(security, password) {
+        const securityTypes = (security || "").toUpperCase().split(/\s+/).filter((type) => type && type !== "--");
+
+        if (securityTypes.length === 0) {
+            return password ? ["wifi-sec.key-mgmt", "wpa-psk", "wifi-sec.psk", password] : [];
+        }
+
+        if (securityTypes.includes("OWE")) {
+            return ["wifi-sec.key-mgmt", "owe"];
+        }
+
+        if (securityTypes.includes("WEP")) {
+            const isWepKey = /^([0-9a-fA-F]{10}|[0-9a-fA-F]{26})$/.test(password) || [5, 13].includes(password.length);
+            return ["wifi-sec.key-mgmt", "none", "wifi-sec.wep-key-type", isWepKey ? "1" : "2", "wifi-sec.wep-key0", password];
+        }
+
+        const isWpa3Only = securityTypes.includes("WPA3") && !securityTypes.some((type) => type === "WPA1" || type === "WPA2" || type === "WPA");
+
+        if (isWpa3Only) {
+            return ["wifi-sec.key-mgmt", "sae", "wifi-sec.psk", password];
+        }
+
+        return ["wifi-sec.key-mgmt", "wpa-psk", "wifi-sec.psk", password];
+    },
+
+    /**
+     * Function for connection to an open, WEP or personal (PSK/SAE) network
      * @param {String} ssid
+     * @param {String} password
+     * @param {String} security
+     * @param {Boolean} hidden
      * @returns {JSONObject}
      */
-    async connectToUnsecureNetwork(ssid) {
-        const connectCommand = quote(["nmcli", "device", "wifi", "connect", ssid]);
+    async connectToWifiNetwork(ssid, password = "", security = "", hidden = false) {
+        const securityTypes = (security || "").replace("--", "").trim();
 
-        const connection = await executeCommand(connectCommand, "Unsecure network connection");
+        if (securityTypes && !password && !securityTypes.includes("OWE")) {
+            return { type: "802-11-wireless-security.psk", success: false, reason: CONNECTION_FAILURE.WRONG_PASSWORD, error: "This network requires a password" };
+        }
+
+        const securitySettings = networkManager.buildSecuritySettings(security, password);
+        const connection = await networkManager.addAndActivateWifiConnection(ssid, hidden, securitySettings);
 
         return await networkManager.resolveNetworkConnection(connection, ssid);
     },
 
     /**
-     * Function for connection to a WPA3 network
+     * Function for connection to a WPA2/WPA3-Enterprise (802.1X) network
      * @param {String} ssid
-     * @param {String} password
+     * @param {Object} enterprise
+     * @param {Boolean} hidden
      * @returns {JSONObject}
      */
-    async connectToWPANetwork(ssid, password) {
-        const connectCommand = quote(["nmcli", "connection", "add", "type", "wifi", "ifname", "wlan0", "con-name", ssid, "ssid", ssid, "--", "wifi-sec.key-mgmt", "wpa-psk", "wifi-sec.psk", password]);
+    async connectToEnterpriseNetwork(ssid, enterprise, hidden = false) {
+        const enterpriseSettings = networkManager.buildEnterpriseSettings(ssid, enterprise);
+
+        if (!enterpriseSettings.success) {
+            return enterpriseSettings;
+        }
 
-        const connection = await executeCommand(connectCommand, "WPA network connection");
+        const securitySettings = ["wifi-sec.key-mgmt", "wpa-eap", ...enterpriseSettings.args];
+        const connection = await networkManager.addAndActivateWifiConnection(ssid, hidden, securitySettings);
 
         return await networkManager.resolveNetworkConnection(connection, ssid);
     },
 
     /**
-     * Function for connection to a hidden network. NOT WORKING
-     * @param {String} ssid
-     * @param {String} password
-     * @returns {Boolean}
+     * Adds a Wi-Fi connection profile and activates it.
+     *
+     * The profile is added under a temporary name, so a saved profile for the same network keeps working if the
+     * new one fails, e.g. because of a wrong password. See `resolveNetworkConnection`. The new profile gets a higher autoconnect
+     * priority than every other saved network, so the most recently added network is preferred. Hidden
+     * networks are marked as hidden, so NetworkManager probes for them actively instead of waiting to
+     * see them in a scan.
+     *
+     * @async
+     * @param {string} ssid
+     * @param {boolean} hidden
+     * @param {Array<string>} securitySettings - The `wifi-sec` and `802-1x` arguments for `nmcli`.
+     * @returns {Promise<object>} The result of the activation, or of adding the profile if that failed.
      */
-    async connectToHiddenNetwork(ssid, password) {
-        const addConnectionCommand = quote(["nmcli", "conn", "add", "type", "wifi", "ifname", "wlan0", "con-name", ssid, "ssid", ssid, "--", "wifi-sec.key-mgmt", "wpa-psk", "wifi-sec.psk", password]);
+    async addAndActivateWifiConnection(ssid, hidden, securitySettings) {
+        const pendingName = `${ssid}${PENDING_CONNECTION_SUFFIX}`;
 
-        const connectionResult = await executeCommand(addConnectionCommand, "Network connection");
+        /* Left behind if the app stopped during an earlier attempt */
+        await executeCommand(quote(["nmcli", "connection", "delete", "id", pendingName]), "delete pending connection");
 
-        if (connectionResult.success && connectionResult.stdout.includes("successfully added")) {
-            const connectCommand = quote(["nmcli", "conn", "up", ssid]);
+        const savedNetworks = await networkManager.getSavedNetworks();
+        const priority = Math.max(0, ...savedNetworks.map((network) => network.priority)) + 1;
 
-            const connectResult = await executeCommand(connectCommand);
+        const hiddenSettings = hidden ? ["802-11-wireless.hidden", "yes"] : [];
+        const prioritySettings = ["connection.autoconnect", "yes", "connection.autoconnect-priority", String(priority)];
+        const addCommand = quote(["nmcli", "connection", "add", "type", "wifi", "ifname", "wlan0", "con-name", pendingName, "ssid", ssid, ...prioritySettings, ...hiddenSettings, ...(securitySettings.length ? ["--", ...securitySettings] : [])]);
 
-            if (connectResult.success && connectResult.stdout.includes("Connection successfully activated")) {
-                /* Attemps to connect to server */
-                const serverConnectionResult = await networkManager.attemptServerConnection();
+        const addResult = await executeCommand(addCommand, "Network connection");
 
-                if (serverConnectionResult.success && serverConnectionResult.stdout.toString() === "1") {
-                    /* Successfully pings server */
-                    return serverConnectionResult;
-                } else {
-                    /* cant connect to server, may be wrong password */
-                    networkManager.deleteConnectionBySSID(ssid);
+        if (!addResult.success) {
+            return addResult;
+        }
+
+        const upCommand = quote(["nmcli", "--wait", String(CONNECTION_TIMEOUT), "connection", "up", "id", pendingName]);
+
+        return await executeCommand(upCommand, "Network activation");
+    },
 
-                    return serverConnectionResult;
+    /**
+     * Replaces the saved profile of a network with a new profile that has been activated.
+     *
+     * @async
+     * @param {string} pendingName - The temporary name of the new profile.
+     * @param {string} ssid - The name of the saved profile.
+     * @returns {Promise<object>} The result of renaming the new profile.
+     */
+    async replaceConnection(pendingName, ssid) {
+        await executeCommand(quote(["nmcli", "connection", "delete", "id", ssid]), "delete replaced connection");
+
+        return await executeCommand(quote(["nmcli", "connection", "modify", "id", pendingName, "connection.id", ssid]), "rename connection");
+    },
+
+    /**
+     * Builds the `nmcli` arguments for an 802.1X profile.
+     *
+     * The same profile model is used for Wi-Fi and wired connections. Certificates and keys can be given
+     * either as a path to a file on the device, or as PEM content which is then written to the certificate
+     * directory.
+     *
+     * @param {string} name - Name of the connection, used to name certificate files.
+     * @param {Object} enterprise - The 802.1X profile.
+     * @param {string} [enterprise.eap="peap"] - The EAP method: `peap`, `ttls` or `tls`.
+     * @param {string} [enterprise.phase2="mschapv2"] - The inner authentication for `peap` and `ttls`.
+     * @param {string} enterprise.identity - The identity (username).
+     * @param {string} [enterprise.anonymousIdentity] - The outer identity sent before the tunnel is set up.
+     * @param {string} [enterprise.password] - The password, required for `peap` and `ttls`.
+     * @param {string} [enterprise.caCert] - The CA certificate used to validate the server.
+     * @param {string} [enterprise.clientCert] - The client certificate, required for `tls`.
+     * @param {string} [enterprise.privateKey] - The private key of the client certificate, required for `tls`.
+     * @param {string} [enterprise.privateKeyPassword] - The password of the private key.
+     * @returns {object} An object containing `success`, and either the `args` or an `error` with a `type`.
+     */
+    buildEnterpriseSettings(name, enterprise) {
+        const eap = (enterprise.eap || "peap").toLowerCase();
+
+        if (!ENTERPRISE_EAP_METHODS.includes(eap)) {
+            return { type: "802-1x.eap", success: false, error: `Invalid EAP method: ${eap}. Valid values are: ${ENTERPRISE_EAP_METHODS.join(", ")}` };
+        }
+
+        if (!enterprise.identity) {
+            return { type: "802-1x.identity", success: false, error: "An identity is required for 802.1X" };
+        }
+
+        const args = ["802-1x.eap", eap, "802-1x.identity", enterprise.identity];
+
+        if (enterprise.anonymousIdentity) {
+            args.push("802-1x.anonymous-identity", enterprise.anonymousIdentity);
+        }
+
+        try {
+            if (enterprise.caCert) {
+                args.push("802-1x.ca-cert", networkManager.writeCertificate(name, "ca-cert", enterprise.caCert));
+            }
+
+            if (eap === "tls") {
+                if (!enterprise.clientCert || !enterprise.privateKey) {
+                    return { type: "802-1x.client-cert", success: false, error: "EAP-TLS requires a client certificate and a private key" };
                 }
+
+                args.push("802-1x.client-cert", networkManager.writeCertificate(name, "client-cert", enterprise.clientCert));
+                args.push("802-1x.private-key", networkManager.writeCertificate(name, "private-key", enterprise.privateKey));
+                args.push("802-1x.private-key-password", enterprise.privateKeyPassword || "");
             } else {
-                /* Connection not successfully activated, possible wrong password */
+                if (!enterprise.password) {
+                    return { type: "802-1x.password", success: false, error: `EAP-${eap.toUpperCase()} requires a password` };
+                }
 
-                networkManager.deleteConnectionBySSID(ssid);
-                return connectResult;
+                args.push("802-1x.phase2-auth", enterprise.phase2 || "mschapv2", "802-1x.password", enterprise.password);
             }
-        } else {
-            return connectionResult;
+        } catch (error) {
+            logger.logError(error, "buildEnterpriseSettings", "networkManager");
+            return { type: "802-1x", success: false, error: error };
+        }
+
+        return { success: true, args: args };
+    },
+
+    /**
+     * Writes a certificate or key to the certificate directory, and returns its path.
+     *
+     * If the value is a path to an existing file it is used as it is.
+     *
+     * @param {string} name - Name of the connection the certificate belongs to.
+     * @param {string} kind - What the file contains, e.g. `ca-cert`.
+     * @param {string} value - PEM content or a path to a file.
+     * @returns {string} The path to the certificate file.
+     */
+    writeCertificate(name, kind, value) {
+        if (value.startsWith("/") && fs.existsSync(value)) {
+            return value;
         }
+
+        const directory = path.join(app.getPath("userData"), "certs");
+        const filename = `${name.replace(/[^a-zA-Z0-9_-]/g, "_")}-${kind}.pem`;
+        const certificatePath = path.join(directory, filename);
+
+        fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(certificatePath, value, { mode: 0o600 });
+
+        return certificatePath;
     },
 
     /**
-     *   Checks and waits for connection to be activated
-     *   @param {String} ssid
-     *   @returns {Boolean}
+     * Configures 802.1X on the wired connection, using the same profile model as Wi-Fi.
+     *
+     * Passing `null` removes 802.1X from the wired connection.
+     *
+     * @async
+     * @param {Object|null} enterprise - The 802.1X profile, see `buildEnterpriseSettings`.
+     * @returns {Promise<object>} The result of the connection attempt.
      */
-    async waitForActiveConnection(ssid) {
-        const connectionStateCommand = quote(["nmcli", "-f", "GENERAL.STATE", "connection", "show", ssid]);
+    async configureWiredEnterprise(enterprise) {
+        ipcMain.emit("is_connecting");
+
+        const connectionName = await networkManager.getEthernetConnectionName();
+        let result;
 
-        let attempts = 0;
-        let connectionState;
-        let lastConnectionState = null;
-        while (attempts < 75) {
-            connectionState = await executeCommand(connectionStateCommand);
+        if (!connectionName) {
+            result = { type: "ethernet", success: false, error: "No wired connection found" };
+        } else if (enterprise) {
+            const enterpriseSettings = networkManager.buildEnterpriseSettings(connectionName, enterprise);
 
-            if (connectionState.success && connectionState.stdout.includes("activated")) {
-                return connectionState;
-            } else if (connectionState.success && connectionState.stdout.includes("activating")) {
-                lastConnectionState = "activating";
-                attempts++;
-                await new Promise((resolve) => setTimeout(resolve, 500));
-            } else if (connectionState.success && connectionState.stdout.includes("deactivated")) {
-                connectionState.success = false;
-                connectionState.stdout = "Connection state deactivating";
-                return false;
+            if (enterpriseSettings.success) {
+                const modifyCommand = quote(["nmcli", "connection", "modify", connectionName, ...enterpriseSettings.args]);
+                result = await networkManager.reactivateConnection(modifyCommand, connectionName);
             } else {
-                if (lastConnectionState === "activating") {
-                    connectionState.success = false;
-                    connectionState.stderr = "Operation went from activating to null. Most likely wrong password";
-                    connectionState.type = "802-11-wireless-security.psk";
-                    return connectionState;
-                } else {
-                    attempts++;
-                    await new Promise((resolve) => setTimeout(resolve, 500));
-                }
+                result = enterpriseSettings;
             }
+        } else {
+            const modifyCommand = quote(["nmcli", "connection", "modify", connectionName, "remove", "802-1x"]);
+            result = await networkManager.reactivateConnection(modifyCommand, connectionName);
         }
 
-        connectionState.success = false;
-        connectionState.stderr = "Exceeded maximum attempts. Operation failed.";
-        return connectionState;
+        /* The caller reports the result, e.g. as `connect_to_network_status` to the settings page */
+        return result;
+    },
+
+    /**
+     * Runs a modify command on a connection, brings the connection back up and waits for the server.
+     *
+     * @async
+     * @param {string} modifyCommand - The quoted `nmcli connection modify` command.
+     * @param {string} connectionName
+     * @returns {Promise<object>}
+     */
+    async reactivateConnection(modifyCommand, connectionName) {
+        const modifyResult = await executeCommand(modifyCommand, "modify connection");
+
+        if (!modifyResult.success) {
+            return modifyResult;
+        }
+
+        const upResult = await executeCommand(quote(["nmcli", "connection", "up", connectionName]), "activate connection");
+
+        if (!upResult.success) {
+            return networkManager.describeConnectionFailure(upResult);
+        }
+
+        return await networkManager.attemptServerConnection();
+    },
+
+    /**
+     * Retrieves the name of the wired connection profile.
+     *
+     * @async
+     * @returns {Promise<string|null>} The name of the first ethernet connection, or `null` if there is none.
+     */
+    async getEthernetConnectionName() {
+        const result = await executeCommand("nmcli -t -f name,type connection show", "ethernet connection name");
+
+        if (!result.success) return null;
+
+        const ethernet = result.stdout
+            .split("\n")
+            .map((line) => line.split(":"))
+            .find(([, type]) => type === "802-3-ethernet");
+
+        return ethernet ? ethernet[0] : null;
+    },
+
+    /**
+     * Applies the network settings from `player-config.json`.
+     *
+     * Network settings are only applied when they differ from the last applied settings, so the same
+     * Wi-Fi profile is not added again on every boot.
+     *
+     * @async
+     * @param {Object} config - The player config.
+     * @param {Object} [config.wifi] - Wi-Fi settings in the same format as `connectToNetwork`.
+     * @param {Object} [config.ethernet] - Wired settings.
+     * @param {Object} [config.ethernet.enterprise] - An 802.1X profile for the wired connection.
+     * @param {boolean} [force=false] - Whether to apply the settings even if they have been applied before.
+     * @returns {Promise<object>} The result for each applied setting, keyed `wifi` and `ethernet`.
+     */
+    async setNetworkFromPlayerConfig(config, force = false) {
+        const networkConfig = JSON.stringify({ wifi: config.wifi, ethernet: config.ethernet });
+        const results = {};
+
+        if (!config.wifi && !config.ethernet) return results;
+        if (!force && store.get("appliedNetworkConfig") === networkConfig) return results;
+
+        if (config.ethernet && "enterprise" in config.ethernet) {
+            results.ethernet = await networkManager.configureWiredEnterprise(config.ethernet.enterprise);
+
+            if (!results.ethernet.success) {
+                logger.logError(results.ethernet.error || results.ethernet.stderr, "setNetworkFromPlayerConfig", "networkManager", { type: results.ethernet.type });
+            }
+        }
+
+        if (config.wifi && config.wifi.ssid) {
+            results.wifi = await networkManager.connectToNetwork(config.wifi);
+
+            if (!results.wifi.success) {
+                logger.logError(results.wifi.error || results.wifi.stderr, "setNetworkFromPlayerConfig", "networkManager", { type: results.wifi.type });
+            }
+        }
+
+        store.set("appliedNetworkConfig", networkConfig);
+
+        return results;
     },
 
     /**
      *   Checks connection to server
+     *   The connectivity monitor waits for this check, so a hung connection is given up after SERVER_CHECK_TIMEOUT seconds
      */
     async checkConnectionToServer() {
         const host = store.get("host");
+        const proxyArguments = await getCurlProxyArguments(`https://${host}/up`);
 
-        const command = `curl -sI https://${host}/up | grep HTTP | grep -q 200 && echo 1 || echo 0`;
+        const command = `curl -sI --max-time ${SERVER_CHECK_TIMEOUT} ${proxyArguments} https://${host}/up | grep HTTP | grep -q 200 && echo 1 || echo 0`;
 
         return await executeCommand(command, "server connection");
     },
 
     /**
-     *   Attemps to connect to sever multiple times by running checkConnectionToServer
+     *   Waits for the server to become reachable through the connectivity monitor.
+     *   Returns a result in the same format as checkConnectionToServer.
      */
     async attemptServerConnection() {
-        let attempts = 0;
-        let connection;
+        const status = await networkManager.waitForConnectivityState(CONNECTIVITY.SERVER_REACHABLE, 10000);
+
+        return {
+            type: "server connection",
+            success: true,
+            stdout: status.state === CONNECTIVITY.SERVER_REACHABLE ? "1" : "0",
+            stderr: "",
+        };
+    },
 
-        while (attempts < 20) {
-            connection = await networkManager.checkConnectionToServer();
+    /**
+     * Retrieves the saved Wi-Fi networks, highest autoconnect priority first.
+     *
+     * NetworkManager automatically connects to the saved network with the highest priority that is in range,
+     * so a player that is moved between sites, or that has a backup hotspot, roams between them by itself.
+     *
+     * @async
+     * @returns {Promise<Array<object>>} The saved networks:
+     *   - `ssid` {string}: The name of the network.
+     *   - `priority` {number}: The autoconnect priority, higher is preferred.
+     *   - `autoconnect` {boolean}: Whether the network is connected to automatically.
+     *   - `active` {boolean}: Whether the network is currently connected.
+     */
+    async getSavedNetworks() {
+        const command = "nmcli -t -f NAME,TYPE,AUTOCONNECT,AUTOCONNECT-PRIORITY,ACTIVE connection show";
+        const result = await executeCommand(command, "saved networks");
+
+        if (!result.success) return [];
+
+        return result.stdout
+            .split("\n")
+            .map((line) => line.split(/(?<!\\):/).map((value) => value.replace(/\\:/g, ":")))
+            .filter(([, type]) => type === "802-11-wireless")
+            .map(([name, , autoconnect, priority, active]) => ({
+                ssid: name,
+                priority: parseInt(priority, 10) || 0,
+                autoconnect: autoconnect === "yes",
+                active: active === "yes",
+            }))
+            .sort((a, b) => b.priority - a.priority);
+    },
 
-            if (connection.success && connection.stdout.toString() === "1") {
-                return connection;
-            } else {
-                attempts++;
-                await new Promise((resolve) => setTimeout(resolve, 500)); // Wait for 1 second before retrying
-            }
+    /**
+     * Sets the autoconnect priorities of the saved networks from an ordered list.
+     *
+     * The first network gets the highest priority. Saved networks that are not in the list keep their
+     * priority, but are placed below the listed ones. If `ssids` is not a list, nothing is changed.
+     *
+     * @async
+     * @param {Array<string>} ssids - SSIDs of saved networks, most preferred first.
+     * @returns {Promise<Array<object>>} The saved networks after the change, see `getSavedNetworks`.
+     */
+    async setNetworkPriorities(ssids) {
+        const savedNetworks = await networkManager.getSavedNetworks();
+
+        if (!Array.isArray(ssids)) {
+            logger.logError("The network priorities must be a list of SSIDs", "setNetworkPriorities", "networkManager");
+            return savedNetworks;
+        }
+        const savedSSIDs = savedNetworks.map((network) => network.ssid);
+        const orderedSSIDs = ssids.filter((ssid) => savedSSIDs.includes(ssid));
+        const unlistedSSIDs = savedSSIDs.filter((ssid) => !orderedSSIDs.includes(ssid));
+
+        const allSSIDs = orderedSSIDs.concat(unlistedSSIDs);
+
+        for (let i = 0; i < allSSIDs.length; i++) {
+            const priority = String((allSSIDs.length - i) * 10);
+            await executeCommand(quote(["nmcli", "connection", "modify", allSSIDs[i], "connection.autoconnect", "yes", "connection.autoconnect-priority", priority]), "set network priority");
+        }
+
+        return await networkManager.getSavedNetworks();
+    },
+
+    /**
+     * Forgets a saved Wi-Fi network.
+     *
+     * @async
+     * @param {string} ssid
+     * @returns {Promise<Array<object>>} The saved networks after the change, see `getSavedNetworks`.
+     */
+    async forgetNetwork(ssid) {
+        const savedNetworks = await networkManager.getSavedNetworks();
+
+        if (savedNetworks.some((network) => network.ssid === ssid)) {
+            await networkManager.deleteConnectionBySSID(ssid);
         }
 
-        return connection;
+        return await networkManager.getSavedNetworks();
     },
 
     /**
@@ -310,7 +714,6 @@ const networkManager = (module.exports = {
     async deleteConnectionBySSID(ssid) {
         const deleteCommand = quote(["nmcli", "connection", "delete", ssid]);
         const deleteResult = await executeCommand(deleteCommand, "delete ssid");
-        lastConnectionSSID = null;
         return deleteResult.success;
     },
 
@@ -335,84 +738,339 @@ const networkManager = (module.exports = {
             else if(type === "802-3-ethernet") {
                 await executeCommand(`nmcli con mod "${name}" ipv4.dns ""`)
                 await executeCommand(`nmcli con mod "${name}" ipv4.ignore-auto-dns no`)
+                await executeCommand(quote(["nmcli", "con", "mod", name, "remove", "802-1x"]))
+                await executeCommand(quote(["nmcli", "con", "mod", name, ...networkManager.buildIpSettings({ ipv4: { method: "auto" }, ipv6: { method: "auto" } })]))
             }
         }
+
+        fs.rmSync(path.join(app.getPath("userData"), "certs"), { recursive: true, force: true });
+        store.delete("appliedNetworkConfig");
+        store.delete("ipConfiguration");
     },
 
     /**
-     *   Checks if device is connected with etherenet
+     * Starts the connectivity monitor.
+     *
+     * Listens to `nmcli monitor` and re-evaluates the connectivity state whenever NetworkManager reports
+     * a change. Since the server can go down without anything changing locally, the state is also
+     * re-evaluated periodically, more often while the server is unreachable.
+     *
+     * Every transition is emitted on `ipcMain` as `connectivity_changed`, so the renderer and the BLE
+     * bridge can follow it. When the server becomes reachable again after an outage the content is reloaded.
+     *
+     * @returns {void}
      */
-    async checkEthernetConnection() {
-        const command = "nmcli device status | grep ethernet | grep -q connected && echo 1 || echo 0";
+    startConnectivityMonitor() {
+        if (networkMonitor) return;
 
-        const result = await executeCommand(command);
+        networkMonitor = nodeChildProcess.spawn("nmcli", ["monitor"]);
 
-        if (result.success && result.stdout === "1") {
-            return await networkManager.attemptServerConnection();
-        } else {
-            return result;
+        networkMonitor.stdout.on("data", () => {
+            clearTimeout(connectivityDebounce);
+            connectivityDebounce = setTimeout(() => networkManager.refreshConnectivity(), 1000);
+        });
+
+        networkMonitor.on("error", (error) => {
+            logger.logError(error, "startConnectivityMonitor", "networkManager");
+        });
+
+        networkMonitor.on("exit", () => {
+            networkMonitor = null;
+            setTimeout(() => networkManager.startConnectivityMonitor(), 5000);
+        });
+
+        networkManager.refreshConnectivity();
+    },
+
+    /**
+     * Returns the last known connectivity status.
+     *
+     * @returns {object} An object containing:
+     *   - `state` {string}: One of `offline`, `link-up`, `captive-portal`, `internet` or `server-reachable`.
+     *   - `connectionType` {string|null}: `Ethernet`, `Wi-Fi` or `null` when there is no link.
+     *   - `connectionName` {string|null}: The name of the active connection, e.g. the SSID.
+     *   - `portalUrl` {string|null}: The login page when the state is `captive-portal`.
+     */
+    getConnectivityStatus() {
+        return connectivityStatus;
+    },
+
+    /**
+     * Checks every layer of connectivity, and emits `connectivity_changed` if the state has changed.
+     *
+     * Concurrent calls share the same check.
+     *
+     * @async
+     * @returns {Promise<object>} The current connectivity status, see `getConnectivityStatus`.
+     */
+    async refreshConnectivity() {
+        if (!connectivityCheck) {
+            connectivityCheck = networkManager.checkConnectivity().finally(() => {
+                connectivityCheck = null;
+            });
         }
+
+        const status = await connectivityCheck;
+        const previousState = connectivityStatus.state;
+
+        if (status.state !== previousState || status.connectionName !== connectivityStatus.connectionName || status.portalUrl !== connectivityStatus.portalUrl) {
+            connectivityStatus = status;
+            networkManager.onConnectivityChanged(status, previousState);
+        }
+
+        networkManager.scheduleConnectivityCheck();
+
+        return connectivityStatus;
     },
 
     /**
-     *   Checks if device is connected via Wi-Fi
+     * Determines the connectivity state by checking link, internet access and the server in turn.
+     *
+     * Internet access is checked with NetworkManager's own connectivity check, and with a probe url when
+     * that check is disabled or inconclusive. A network that redirects the probe is behind a captive portal.
+     *
+     * @async
+     * @returns {Promise<object>} A connectivity status, see `getConnectivityStatus`.
      */
-    async checkWifiConnection() {
-        const command = "nmcli device status | grep wifi | grep -q connected && echo 1 || echo 0";
+    async checkConnectivity() {
+        const status = { state: CONNECTIVITY.OFFLINE, connectionType: null, connectionName: null, portalUrl: null };
+
+        const devices = await executeCommand("nmcli -t -f TYPE,STATE,CONNECTION device status", "connectivity link");
+
+        if (!devices.success) {
+            return status;
+        }
+
+        const connectedDevices = devices.stdout
+            .split("\n")
+            .map((line) => line.split(":"))
+            .filter(([type, state]) => state === "connected" && (type === "ethernet" || type === "wifi"));
+
+        if (connectedDevices.length === 0) {
+            return status;
+        }
+
+        // Ethernet is preferred by NetworkManager when both are connected
+        const [type, , name] = connectedDevices.find(([type]) => type === "ethernet") || connectedDevices[0];
 
-        const result = await executeCommand(command);
+        status.state = CONNECTIVITY.LINK_UP;
+        status.connectionType = type === "ethernet" ? "Ethernet" : "Wi-Fi";
+        status.connectionName = name;
 
-        if (result.success && result.stdout === "1") {
-            return await networkManager.attemptServerConnection();
+        const connectivity = await executeCommand("nmcli networking connectivity check", "connectivity internet");
+
+        if (connectivity.success && connectivity.stdout === "full") {
+            status.state = CONNECTIVITY.INTERNET;
         } else {
-            return result;
+            const probe = await networkManager.probeCaptivePortal();
+
+            if (probe.captivePortal) {
+                status.state = CONNECTIVITY.CAPTIVE_PORTAL;
+                status.portalUrl = probe.portalUrl;
+            } else if (probe.internet) {
+                status.state = CONNECTIVITY.INTERNET;
+            }
+        }
+
+        const server = await networkManager.checkConnectionToServer();
+
+        if (server.success && server.stdout.toString() === "1") {
+            status.state = CONNECTIVITY.SERVER_REACHABLE;
         }
+
+        return status;
     },
 
     /**
-     *   Check overall network status and connection type
+     * Requests a probe url that returns an empty 204 response, to detect a captive portal.
+     *
+     * A captive portal answers the probe itself, either with a redirect to its login page or with a page of
+     * its own. Other answers, such as a proxy asking for credentials or a server error, are not a portal.
+     * The probe is plain HTTP, since portals can not intercept HTTPS without certificate errors.
+     *
+     * @async
+     * @returns {Promise<object>} An object with `internet`, `captivePortal` and the `portalUrl` if there is a portal.
      */
-    async checkNetworkConnection() {
-        const ethernetResult = await networkManager.checkEthernetConnection();
+    async probeCaptivePortal() {
+        const proxyArguments = await getCurlProxyArguments(CAPTIVE_PORTAL_PROBE_URL);
+        const command = `curl -s -o /dev/null --max-time 5 -w "%{http_code} %{size_download} %{redirect_url}" ${proxyArguments} ${quote([CAPTIVE_PORTAL_PROBE_URL])}`;
+        const result = await executeCommand(command, "captive portal probe");
+
+        if (!result.success) {
+            return { internet: false, captivePortal: false, portalUrl: null };
+        }
 
-        if (ethernetResult.success && ethernetResult.stdout === "1") {
-            return { connectionType: "Ethernet", ...ethernetResult };
+        const [code, size, redirectUrl] = result.stdout.split(" ");
+        const statusCode = parseInt(code, 10);
+
+        if (statusCode === 204) {
+            return { internet: true, captivePortal: false, portalUrl: null };
         }
 
-        const wifiResult = await networkManager.checkWifiConnection();
+        if (statusCode === 200 && parseInt(size, 10) > 0) {
+            return { internet: false, captivePortal: true, portalUrl: CAPTIVE_PORTAL_PROBE_URL };
+        }
 
-        if (wifiResult.success && wifiResult.stdout === "1") {
-            const connectionName = await networkManager.getActiveSSID()
-            return { connectionType: "Wi-Fi", connectionName: connectionName.stdout, ...wifiResult };
+        if (statusCode >= 300 && statusCode < 400 && redirectUrl) {
+            return { internet: false, captivePortal: true, portalUrl: redirectUrl };
         }
 
-        return { success: false, error: "No active network connection" };
+        return { internet: false, captivePortal: false, portalUrl: null };
     },
 
     /**
-     *   Checks if device is connected with etherenet in interval
+     * Opens the captive portal login page in a temporary window on top of the player.
+     *
+     * While the window is open the connectivity is re-checked every few seconds, and the window is closed
+     * by itself once the portal has been accepted. The window uses its own in-memory session, so cookies
+     * from the portal never reach the content or the disk.
+     *
+     * @param {string} [portalUrl] - The login page. Defaults to the page found by the connectivity monitor.
+     * @returns {void}
      */
-    async checkEthernetConnectionInterval() {
-        ethernetInterval = setInterval(async () => {
-            try {
-                const result = await networkManager.checkEthernetConnection();
-                
-                if (result.success && result.stdout === "1") {
-                    ipcMain.emit("ethernet_status", result)
-                    networkManager.stopEthernetInterval()
-                }
-            } catch {}
-        }, 2000);
+    openCaptivePortalWindow(portalUrl) {
+        const url = portalUrl || connectivityStatus.portalUrl || CAPTIVE_PORTAL_PROBE_URL;
+
+        if (captivePortalWindow) {
+            captivePortalWindow.loadURL(url);
+            captivePortalWindow.focus();
+            return;
+        }
+
+        captivePortalWindow = new BrowserWindow({
+            parent: getMainWindow(),
+            modal: true,
+            width: 1280,
+            height: 800,
+            autoHideMenuBar: true,
+            webPreferences: {
+                partition: "captive-portal",
+                nodeIntegration: false,
+                contextIsolation: true,
+            },
+        });
+
+        captivePortalWindow.loadURL(url);
+
+        captivePortalInterval = setInterval(async () => {
+            const status = await networkManager.refreshConnectivity();
+
+            if (status.state === CONNECTIVITY.INTERNET || status.state === CONNECTIVITY.SERVER_REACHABLE) {
+                logger.info("Captive portal accepted", "networkManager");
+                networkManager.closeCaptivePortalWindow();
+            }
+        }, CAPTIVE_PORTAL_CHECK_INTERVAL);
+
+        captivePortalWindow.on("closed", () => {
+            clearInterval(captivePortalInterval);
+            captivePortalWindow = null;
+            networkManager.refreshConnectivity();
+        });
+    },
+
+    /**
+     * Closes the captive portal window, if it is open.
+     *
+     * @returns {void}
+     */
+    closeCaptivePortalWindow() {
+        if (captivePortalWindow && !captivePortalWindow.isDestroyed()) {
+            captivePortalWindow.close();
+        }
+    },
+
+    /**
+     * Notifies the rest of the app about a connectivity transition.
+     *
+     * @param {object} status - The new connectivity status.
+     * @param {string|null} previousState - The state before the transition, `null` on the first check.
+     * @returns {void}
+     */
+    onConnectivityChanged(status, previousState) {
+        logger.info(`Connectivity changed from ${previousState} to ${status.state}`, "networkManager", { connectionType: status.connectionType, connectionName: status.connectionName });
+
+        if (previousState === CONNECTIVITY.SERVER_REACHABLE) {
+            logger.logError(`Lost connection to server, connectivity is now ${status.state}`, "connectivityChanged", "networkManager", { connectionType: status.connectionType });
+        }
+
+        ipcMain.emit("connectivity_changed", null, status);
+
+        /* A switch to another network that can also reach the server does not need a reload */
+        if (previousState !== null && previousState !== CONNECTIVITY.SERVER_REACHABLE && status.state === CONNECTIVITY.SERVER_REACHABLE) {
+            networkManager.reloadContent();
+        }
+    },
+
+    /**
+     * Reloads the content if the player page is showing.
+     *
+     * @returns {void}
+     */
+    reloadContent() {
+        const webContents = getWebContents();
+
+        if (webContents && webContents.getURL().includes("index/index.html")) {
+            logger.info("Server reachable again, reloading content", "networkManager");
+            webContents.reload();
+        }
+    },
+
+    /**
+     * Schedules the next periodic connectivity check.
+     *
+     * @returns {void}
+     */
+    scheduleConnectivityCheck() {
+        clearTimeout(connectivityTimeout);
+
+        const interval = connectivityStatus.state === CONNECTIVITY.SERVER_REACHABLE ? 60 * 1000 : 10 * 1000;
+        connectivityTimeout = setTimeout(() => networkManager.refreshConnectivity(), interval);
+    },
+
+    /**
+     * Waits until the connectivity reaches the given state, or the timeout runs out.
+     *
+     * @async
+     * @param {string} state - The state to wait for.
+     * @param {number} timeout - Maximum time to wait in milliseconds.
+     * @returns {Promise<object>} The connectivity status when the state was reached or the timeout ran out.
+     */
+    async waitForConnectivityState(state, timeout) {
+        const deadline = Date.now() + timeout;
+        let status = await networkManager.refreshConnectivity();
+
+        while (status.state !== state && Date.now() < deadline) {
+            await new Promise((resolve) => setTimeout(resolve, 500));
+            status = await networkManager.refreshConnectivity();
+        }
+
+        return status;
     },
 
     /**
-     *   Stops ethernetinterval
+     * Validates a DNS server, sets it on the active connection, and stores it once it is set.
+     *
+     * @async
+     * @param {string} dns - The address of the DNS server.
+     * @returns {Promise<object>} An object with `success`, and an `error` if the server is invalid or could not be set.
      */
-    async stopEthernetInterval() {
-        if (ethernetInterval) {
-            clearInterval(ethernetInterval);
-            ethernetInterval = null;
+    async setDNS(dns) {
+        const error = validateSetting("dns", dns);
+
+        if (error) {
+            logger.logError(error, "setDNS", "networkManager");
+            return { type: "dns", success: false, error: error };
         }
+
+        const result = await networkManager.addDNS(dns);
+
+        if (!result || !result.success) {
+            return { type: "dns", success: false, error: result ? String(result.error.message || result.error) : "No active connection" };
+        }
+
+        store.set("dns", dns);
+
+        return { type: "dns", success: true };
     },
 
     /**
@@ -438,4 +1096,543 @@ const networkManager = (module.exports = {
         }
     },
 
+    /**
+     * Reads the IPv4 and IPv6 configuration of a connection.
+     *
+     * @async
+     * @param {string} [connectionName] - Name or UUID of the connection. Defaults to the active connection.
+     * @returns {Promise<object|null>} The configuration, or `null` if it could not be read:
+     *   - `connection` {string}: The name or UUID of the connection.
+     *   - `ipv4` {object}: `method` ("auto" or "manual"), `addresses` (e.g. ["192.168.1.10/24"]), `gateway` and `dns` (list of servers).
+     *   - `ipv6` {object}: Same as `ipv4`, where `method` can also be "ignore" or "disabled".
+     */
+    async getIpConfiguration(connectionName) {
+        const connection = connectionName || (await networkManager.getActiveConnectionUUID()).stdout;
+
+        if (!connection) return null;
+
+        const fields = "ipv4.method,ipv4.addresses,ipv4.gateway,ipv4.dns,ipv6.method,ipv6.addresses,ipv6.gateway,ipv6.dns";
+        const result = await executeCommand(quote(["nmcli", "-t", "-f", fields, "connection", "show", connection]), "get ip configuration");
+
+        if (!result.success) return null;
+
+        const values = {};
+        result.stdout.split("\n").forEach((line) => {
+            const separator = line.indexOf(":");
+            values[line.slice(0, separator)] = line.slice(separator + 1).replace(/\\:/g, ":");
+        });
+
+        const toList = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : []);
+
+        return {
+            connection: connection,
+            ipv4: {
+                method: values["ipv4.method"],
+                addresses: toList(values["ipv4.addresses"]),
+                gateway: values["ipv4.gateway"] || null,
+                dns: toList(values["ipv4.dns"]),
+            },
+            ipv6: {
+                method: values["ipv6.method"],
+                addresses: toList(values["ipv6.addresses"]),
+                gateway: values["ipv6.gateway"] || null,
+                dns: toList(values["ipv6.dns"]),
+            },
+        };
+    },
+
+    /**
+     * Writes an IP configuration to a connection, and reverts it if the server is unreachable afterwards.
+     *
+     * Each of `ipv4` and `ipv6` is optional, and is left unchanged when it is not given. A manual
+     * configuration needs an address, given either with a prefix (`192.168.1.10/24`), with `prefix`
+     * or with `netmask`.
+     *
+     * @async
+     * @param {Object} config - The IP configuration.
+     * @param {string} [config.connection] - Name or UUID of the connection. Defaults to the active connection.
+     * @param {Object} [config.ipv4] - IPv4 settings.
+     * @param {string} config.ipv4.method - "auto" (DHCP) or "manual".
+     * @param {string} [config.ipv4.address] - The address, e.g. "192.168.1.10" or "192.168.1.10/24".
+     * @param {Array<string>} [config.ipv4.addresses] - Several addresses in CIDR notation, instead of `address`.
+     * @param {number} [config.ipv4.prefix] - The prefix length, e.g. 24.
+     * @param {string} [config.ipv4.netmask] - The netmask, e.g. "255.255.255.0".
+     * @param {string} [config.ipv4.gateway] - The gateway address.
+     * @param {Array<string>|string} [config.ipv4.dns] - DNS servers. Overrides the DNS servers from DHCP when given.
+     * @param {Object} [config.ipv6] - IPv6 settings, same as `ipv4`, where `method` can also be "ignore".
+     * @returns {Promise<object>} The result of the change. When the server was unreachable the result has
+     *   `reason` set to `server_unreachable`, and `reverted` tells whether the previous configuration was written back.
+     */
+    async setIpConfiguration(config) {
+        let ipSettings;
+
+        try {
+            ipSettings = networkManager.buildIpSettings(config);
+        } catch (error) {
+            return { type: "ip configuration", success: false, error: error.message };
+        }
+
+        const previousConfiguration = await networkManager.getIpConfiguration(config.connection);
+
+        if (!previousConfiguration) {
+            return { type: "ip configuration", success: false, error: "No active connection" };
+        }
+
+        const connection = previousConfiguration.connection;
+
+        ipcMain.emit("is_connecting");
+
+        const modifyCommand = quote(["nmcli", "connection", "modify", connection, ...ipSettings]);
+        let result = await networkManager.reactivateConnection(modifyCommand, connection);
+
+        if (!result.success || result.stdout.toString() !== "1") {
+            logger.logError(`Server unreachable after changing IP configuration, reverting`, "setIpConfiguration", "networkManager");
+
+            result = { ...result, success: false, reason: CONNECTION_FAILURE.SERVER_UNREACHABLE, reverted: await networkManager.revertIpConfiguration(connection, previousConfiguration) };
+        } else {
+            const configuration = await networkManager.getIpConfiguration(connection);
+
+            if (configuration) {
+                store.set("ipConfiguration", configuration);
+            }
+        }
+
+        /* The caller reports the result, e.g. as `set_ip_configuration` to the settings page */
+        return result;
+    },
+
+    /**
+     * Writes back the IP configuration a connection had before it was changed.
+     *
+     * @async
+     * @param {string} connection - Name or UUID of the connection.
+     * @param {object} previousConfiguration - The configuration read by `getIpConfiguration` before the change.
+     * @returns {Promise<boolean>} Whether the configuration was reverted.
+     */
+    async revertIpConfiguration(connection, previousConfiguration) {
+        try {
+            const revertCommand = quote(["nmcli", "connection", "modify", connection, ...networkManager.buildIpSettings(networkManager.toIpConfig(previousConfiguration))]);
+            const modifyResult = await executeCommand(revertCommand, "modify connection");
+
+            if (modifyResult.success) {
+                await executeCommand(quote(["nmcli", "connection", "up", connection]), "activate connection");
+            }
+
+            return modifyResult.success;
+        } catch (error) {
+            logger.logError(error, "revertIpConfiguration", "networkManager");
+            return false;
+        }
+    },
+
+    /**
+     * Builds the `nmcli connection modify` arguments for an IP configuration.
+     *
+     * @param {Object} config - The IP configuration, see `setIpConfiguration`.
+     * @returns {Array<string>} The `nmcli` arguments.
+     * @throws {Error} If the configuration is invalid.
+     */
+    buildIpSettings(config) {
+        const args = [];
+
+        [["ipv4", 4], ["ipv6", 6]].forEach(([family, version]) => {
+            const settings = config[family];
+
+            if (!settings) return;
+
+            const method = settings.method || "auto";
+            const validMethods = version === 4 ? ["auto", "manual", "link-local", "shared", "disabled"] : ["auto", "dhcp", "manual", "link-local", "ignore", "disabled"];
+
+            if (!validMethods.includes(method)) {
+                throw new Error(`Invalid ${family} method: ${method}. Valid values are: ${validMethods.join(", ")}`);
+            }
+
+            const dns = Array.isArray(settings.dns) ? settings.dns : (settings.dns || "").split(/[\s,]+/).filter(Boolean);
+
+            dns.forEach((server) => {
+                if (net.isIP(server) !== version) throw new Error(`Invalid ${family} DNS server: ${server}`);
+            });
+
+            if (method === "manual") {
+                const addresses = settings.addresses ? settings.addresses.map((address) => networkManager.toCidrAddress({ address: address }, version)) : [networkManager.toCidrAddress(settings, version)];
+
+                if (settings.gateway && net.isIP(settings.gateway) !== version) {
+                    throw new Error(`Invalid ${family} gateway: ${settings.gateway}`);
+                }
+
+                args.push(`${family}.method`, "manual", `${family}.addresses`, addresses.join(","), `${family}.gateway`, settings.gateway || "");
+            } else {
+                args.push(`${family}.method`, method, `${family}.addresses`, "", `${family}.gateway`, "");
+            }
+
+            args.push(`${family}.dns`, dns.join(","), `${family}.ignore-auto-dns`, dns.length ? "yes" : "no");
+        });
+
+        return args;
+    },
+
+    /**
+     * Converts an address with a prefix or netmask to CIDR notation.
+     *
+     * @param {Object} settings - `address` and optionally `prefix` or `netmask`.
+     * @param {number} version - 4 or 6.
+     * @returns {string} The address in CIDR notation, e.g. "192.168.1.10/24".
+     * @throws {Error} If the address, prefix or netmask is invalid.
+     */
+    toCidrAddress(settings, version) {
+        const [address, cidrPrefix] = (settings.address || "").split("/");
+        let prefix = cidrPrefix || settings.prefix;
+
+        if (net.isIP(address) !== version) {
+            throw new Error(`Invalid IPv${version} address: ${settings.address}`);
+        }
+
+        if (prefix === undefined && settings.netmask && version === 4) {
+            const bits = settings.netmask.split(".").map((part) => parseInt(part, 10).toString(2).padStart(8, "0")).join("");
+
+            if (net.isIP(settings.netmask) !== 4 || !/^1*0*$/.test(bits)) {
+                throw new Error(`Invalid netmask: ${settings.netmask}`);
+            }
+
+            prefix = bits.indexOf("0") === -1 ? 32 : bits.indexOf("0");
+        }
+
+        prefix = parseInt(prefix === undefined ? (version === 4 ? 24 : 64) : prefix, 10);
+
+        if (isNaN(prefix) || prefix < 0 || prefix > (version === 4 ? 32 : 128)) {
+            throw new Error(`Invalid IPv${version} prefix: ${prefix}`);
+        }
+
+        return `${address}/${prefix}`;
+    },
+
+    /**
+     * Converts a configuration read by `getIpConfiguration` back to the format used by `setIpConfiguration`.
+     *
+     * @param {Object} configuration
+     * @returns {Object}
+     */
+    toIpConfig(configuration) {
+        const toFamilyConfig = (settings) => ({
+            method: settings.method,
+            addresses: settings.addresses,
+            gateway: settings.gateway,
+            dns: settings.dns,
+        });
+
+        return {
+            connection: configuration.connection,
+            ipv4: toFamilyConfig(configuration.ipv4),
+            ipv6: toFamilyConfig(configuration.ipv6),
+        };
+    },
+
+    /**
+     * Runs a network diagnostics report for installers.
+     *
+     * Checks each layer in turn: link, DHCP lease, gateway ping, DNS resolution of the host, TCP/TLS
+     * handshake, HTTP status, clock skew and latency. Every step is run even if an earlier step failed,
+     * since the later results often explain the earlier failure (e.g. a wrong clock breaking TLS).
+     *
+     * The probes are run with `runCommand`, so a failing step ends up in the report and not in the error reports.
+     *
+     * @async
+     * @returns {Promise<object>} The report:
+     *   - `createdAt` {string}: When the report was created, as an ISO date.
+     *   - `host` {string}: The host that was checked.
+     *   - `passed` {boolean}: Whether every step passed.
+     *   - `steps` {Array<object>}: One entry per step with `name`, `passed`, `message` and optional `details`.
+     */
+    async runNetworkDiagnostics() {
+        const host = store.get("host");
+        const steps = [];
+
+        const link = await networkManager.diagnoseLink();
+        steps.push(link);
+
+        const lease = await networkManager.diagnoseLease(link.details && link.details.device);
+        steps.push(lease);
+
+        steps.push(await networkManager.diagnoseGateway(lease.details && lease.details.gateway));
+        steps.push(await networkManager.diagnoseDns(host));
+        steps.push(await networkManager.diagnoseTls(host));
+
+        const http = await networkManager.diagnoseHttp(host);
+        steps.push(http.step);
+        steps.push(networkManager.diagnoseClockSkew(http.date));
+        steps.push(networkManager.diagnoseLatency(http.timeTotal));
+
+        return {
+            createdAt: new Date().toISOString(),
+            host: host,
+            passed: steps.every((step) => step.passed),
+            steps: steps,
+        };
+    },
+
+    /**
+     * Diagnostics step: checks that ethernet or Wi-Fi is connected.
+     *
+     * @async
+     * @returns {Promise<object>} A diagnostics step, with the connected `device` in `details`.
+     */
+    async diagnoseLink() {
+        const result = await runCommand("nmcli -t -f DEVICE,TYPE,STATE,CONNECTION device status");
+
+        if (!result.success) {
+            return { name: "link", passed: false, message: "Could not read the network devices from NetworkManager" };
+        }
+
+        const devices = result.stdout.split("\n").map((line) => line.split(":"));
+        const connected = devices.find(([, type, state]) => type === "ethernet" && state === "connected") || devices.find(([, type, state]) => type === "wifi" && state === "connected");
+
+        if (!connected) {
+            const states = devices.filter(([, type]) => type === "ethernet" || type === "wifi").map(([device, , state]) => `${device} is ${state}`);
+            return { name: "link", passed: false, message: `No ethernet cable or Wi-Fi network is connected (${states.join(", ")})` };
+        }
+
+        const [device, type, , connection] = connected;
+
+        return {
+            name: "link",
+            passed: true,
+            message: `${type === "ethernet" ? "Ethernet" : "Wi-Fi"} is connected on ${device} using "${connection}"`,
+            details: { device: device, type: type, connection: connection },
+        };
+    },
+
+    /**
+     * Diagnostics step: checks that the device has an IPv4 address and a gateway.
+     *
+     * @async
+     * @param {string} [device] - The connected network device.
+     * @returns {Promise<object>} A diagnostics step, with the `address`, `gateway` and `dns` in `details`.
+     */
+    async diagnoseLease(device) {
+        if (!device) {
+            return { name: "dhcp", passed: false, message: "Skipped, there is no connected network device" };
+        }
+
+        const result = await runCommand(quote(["nmcli", "-t", "-f", "IP4.ADDRESS,IP4.GATEWAY,IP4.DNS", "device", "show", device]));
+        const values = {};
+
+        (result.stdout || "").split("\n").forEach((line) => {
+            const separator = line.indexOf(":");
+            const field = line.slice(0, separator).replace(/\[\d+\]$/, "");
+            values[field] = (values[field] || []).concat(line.slice(separator + 1));
+        });
+
+        const details = {
+            address: (values["IP4.ADDRESS"] || [])[0] || null,
+            gateway: (values["IP4.GATEWAY"] || [])[0] || null,
+            dns: values["IP4.DNS"] || [],
+        };
+
+        if (!details.address) {
+            return { name: "dhcp", passed: false, message: `${device} has no IPv4 address. The DHCP server did not respond, or no static address is set`, details: details };
+        }
+
+        if (details.address.startsWith("169.254.")) {
+            return { name: "dhcp", passed: false, message: `${device} only has a link-local address (${details.address}). The DHCP server did not respond`, details: details };
+        }
+
+        if (!details.gateway) {
+            return { name: "dhcp", passed: false, message: `${device} has the address ${details.address}, but no gateway`, details: details };
+        }
+
+        return { name: "dhcp", passed: true, message: `${device} has the address ${details.address} with gateway ${details.gateway}`, details: details };
+    },
+
+    /**
+     * Diagnostics step: pings the gateway.
+     *
+     * Some routers do not answer ping, so a failure here is only a hint if the later steps pass.
+     *
+     * @async
+     * @param {string} [gateway]
+     * @returns {Promise<object>} A diagnostics step.
+     */
+    async diagnoseGateway(gateway) {
+        if (!gateway) {
+            return { name: "gateway", passed: false, message: "Skipped, there is no gateway" };
+        }
+
+        const result = await runCommand(quote(["ping", "-c", "3", "-W", "2", gateway]));
+        const match = (result.stdout || "").match(/= [\d.]+\/([\d.]+)\//);
+
+        if (!result.success) {
+            return { name: "gateway", passed: false, message: `The gateway ${gateway} did not answer ping. The local network may be down, or the router blocks ping` };
+        }
+
+        return { name: "gateway", passed: true, message: `The gateway ${gateway} answered ping${match ? ` in ${match[1]} ms on average` : ""}` };
+    },
+
+    /**
+     * Diagnostics step: resolves the host with the system resolver.
+     *
+     * @async
+     * @param {string} host
+     * @returns {Promise<object>} A diagnostics step, with the resolved `addresses` in `details`.
+     */
+    async diagnoseDns(host) {
+        try {
+            const addresses = await dns.lookup(host, { all: true });
+            return { name: "dns", passed: true, message: `${host} resolves to ${addresses.map((entry) => entry.address).join(", ")}`, details: { addresses: addresses } };
+        } catch (error) {
+            return { name: "dns", passed: false, message: `Could not resolve ${host} (${error.code}). Check the DNS servers, or whether the network blocks the host` };
+        }
+    },
+
+    /**
+     * Diagnostics step: opens a TCP connection to the host and completes a TLS handshake, through the proxy if one is set.
+     *
+     * @async
+     * @param {string} host
+     * @returns {Promise<object>} A diagnostics step, with the handshake `time` in milliseconds in `details`.
+     */
+    async diagnoseTls(host) {
+        const proxyArguments = await getCurlProxyArguments(`https://${host}/`);
+
+        if (proxyArguments) {
+            return networkManager.diagnoseTlsThroughProxy(host, proxyArguments);
+        }
+
+        return networkManager.diagnoseTlsDirect(host);
+    },
+
+    /**
+     * Completes a TLS handshake with the host over a direct TCP connection.
+     *
+     * @async
+     * @param {string} host
+     * @returns {Promise<object>} A diagnostics step, see `diagnoseTls`.
+     */
+    diagnoseTlsDirect(host) {
+        const start = Date.now();
+
+        return new Promise((resolve) => {
+            const socket = tls.connect({ host: host, port: 443, servername: host, timeout: 10000 }, () => {
+                const time = Date.now() - start;
+                const certificate = socket.getPeerCertificate();
+
+                socket.end();
+                resolve({
+                    name: "tls",
+                    passed: true,
+                    message: `TLS handshake with ${host}:443 completed in ${time} ms (${socket.getProtocol()})`,
+                    details: { time: time, validTo: certificate.valid_to },
+                });
+            });
+
+            socket.on("timeout", () => {
+                socket.destroy();
+                resolve({ name: "tls", passed: false, message: `Connection to ${host}:443 timed out. A firewall may block outgoing traffic, or a proxy is required` });
+            });
+
+            socket.on("error", (error) => {
+                const clockHint = ["CERT_NOT_YET_VALID", "CERT_HAS_EXPIRED"].includes(error.code) ? ". The clock on the device may be wrong" : "";
+                resolve({ name: "tls", passed: false, message: `Connection to ${host}:443 failed (${error.code || error.message})${clockHint}` });
+            });
+        });
+    },
+
+    /**
+     * Completes a TLS handshake with the host through the proxy.
+     *
+     * Node cannot connect through every kind of proxy, e.g. SOCKS or one picked by a PAC script, so the handshake
+     * is done by `curl`, which makes a request to the root of the host.
+     *
+     * @async
+     * @param {string} host
+     * @param {string} proxyArguments - The `curl` arguments for the proxy, see `getCurlProxyArguments`.
+     * @returns {Promise<object>} A diagnostics step, see `diagnoseTls`.
+     */
+    async diagnoseTlsThroughProxy(host, proxyArguments) {
+        const result = await runCommand(`curl -sS -o /dev/null --max-time 10 -w "%{time_appconnect}" ${proxyArguments} ${quote([`https://${host}/`])}`);
+
+        if (!result.success) {
+            const clockHint = /certificate (has expired|is not yet valid)/i.test(result.error) ? ". The clock on the device may be wrong" : "";
+            return { name: "tls", passed: false, message: `Connection to ${host}:443 through the proxy failed (${result.error})${clockHint}` };
+        }
+
+        const time = Math.round(parseFloat(result.stdout) * 1000);
+
+        return { name: "tls", passed: true, message: `TLS handshake with ${host}:443 through the proxy completed in ${time} ms`, details: { time: time } };
+    },
+
+    /**
+     * Diagnostics step: requests the health check url of the host, through the proxy if one is set.
+     *
+     * @async
+     * @param {string} host
+     * @returns {Promise<object>} The diagnostics `step`, and the `date` header and `timeTotal` in milliseconds for the later steps.
+     */
+    async diagnoseHttp(host) {
+        const url = `https://${host}/up`;
+        const proxyArguments = await getCurlProxyArguments(url);
+        const result = await runCommand(`curl -sI --max-time 15 -w "time_total:%{time_total}" ${proxyArguments} ${quote([url])}`);
+        /* curl fails when there is no response, and then the time is not a latency */
+        const output = result.success ? result.stdout : "";
+
+        const statusMatch = output.match(/^HTTP\/[\d.]+ (\d+)/m);
+        const dateMatch = output.match(/^date: (.+)$/im);
+        const timeMatch = output.match(/time_total:([\d.]+)/);
+
+        const status = statusMatch ? parseInt(statusMatch[1], 10) : null;
+        const http = {
+            date: dateMatch ? dateMatch[1].trim() : null,
+            timeTotal: timeMatch ? Math.round(parseFloat(timeMatch[1]) * 1000) : null,
+        };
+
+        if (status === 200) {
+            http.step = { name: "http", passed: true, message: `${url} responded with HTTP ${status}`, details: { status: status } };
+        } else if (status) {
+            http.step = { name: "http", passed: false, message: `${url} responded with HTTP ${status}. The server may be down, or a proxy or captive portal is in the way`, details: { status: status } };
+        } else {
+            http.step = { name: "http", passed: false, message: `No HTTP response from ${url}` };
+        }
+
+        return http;
+    },
+
+    /**
+     * Diagnostics step: compares the device clock with the `Date` header from the server.
+     *
+     * @param {string|null} date - The `Date` header from the server.
+     * @returns {object} A diagnostics step, with the `skew` in seconds in `details`.
+     */
+    diagnoseClockSkew(date) {
+        const serverTime = date ? Date.parse(date) : NaN;
+
+        if (isNaN(serverTime)) {
+            return { name: "clock", passed: false, message: "Skipped, the server did not send its time" };
+        }
+
+        const skew = Math.round((Date.now() - serverTime) / 1000);
+
+        if (Math.abs(skew) > MAX_CLOCK_SKEW) {
+            return { name: "clock", passed: false, message: `The device clock is ${Math.abs(skew)} seconds ${skew > 0 ? "ahead of" : "behind"} the server. Check NTP`, details: { skew: skew } };
+        }
+
+        return { name: "clock", passed: true, message: `The device clock is within ${Math.abs(skew)} seconds of the server`, details: { skew: skew } };
+    },
+
+    /**
+     * Diagnostics step: checks the total time of the health check request.
+     *
+     * @param {number|null} timeTotal - The request time in milliseconds.
+     * @returns {object} A diagnostics step, with the `latency` in milliseconds in `details`.
+     */
+    diagnoseLatency(timeTotal) {
+        if (timeTotal === null) {
+            return { name: "latency", passed: false, message: "Skipped, there was no HTTP response" };
+        }
+
+        if (timeTotal > MAX_LATENCY) {
+            return { name: "latency", passed: false, message: `The request took ${timeTotal} ms, which is slow. Content may load slowly`, details: { latency: timeTotal } };
+        }
+
+        return { name: "latency", passed: true, message: `The request took ${timeTotal} ms`, details: { latency: timeTotal } };
+    },
+
 });
@@ -0,0 +1,321 @@
+const { app } = require("electron");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const { logger } = require("./appsignal");
+
+const MAX_CACHE_SIZE = 2 * 1024 * 1024 * 1024; // 2 GB
+const MAX_ENTRY_SIZE = 200 * 1024 * 1024; // 200 MB
+const CACHEABLE_CONTENT_TYPES = ["text/html", "text/css", "javascript", "json", "image/", "video/", "audio/", "font/", "application/octet-stream"];
+
+let cacheDirectory;
+let cacheEnabled = false;
+let downloads = new Set();
+
+const offlineCache = (module.exports = {
+    /**
+     * Enables the offline content cache on the given session.
+     *
+     * Intercepts every `https` request made by the session. Successful GET responses with a cacheable
+     * content type are streamed to disk, and if the network or the server fails later the cached copy is
+     * served instead. This keeps the live app and its media running when the host is unreachable.
+     *
+     * @param {Electron.Session} session - The session used by the main window.
+     * @returns {void}
+     */
+    enableOfflineCache(session) {
+        if (cacheEnabled) return;
+
+        cacheDirectory = offlineCache.getCacheDirectory();
+        fs.mkdirSync(cacheDirectory, { recursive: true });
+
+        session.protocol.handle("https", (request) => offlineCache.handleRequest(session, request));
+        cacheEnabled = true;
+    },
+
+    /**
+     * Returns the directory where cached responses are stored.
+     *
+     * @returns {string} Path to the cache directory inside the app data directory.
+     */
+    getCacheDirectory() {
+        return path.join(app.getPath("userData"), "content-cache");
+    },
+
+    /**
+     * Handles an intercepted request by fetching it from the network, and falling back to the cache.
+     *
+     * Requests that are not GET are passed straight through. Video and audio are played with byte range requests,
+     * so for those the whole file is downloaded to the cache in the background, and ranges are served from it when
+     * the host is unreachable. Server errors (5xx) are treated the same way as network errors, since that is what
+     * a host that is rebooting looks like.
+     *
+     * @async
+     * @param {Electron.Session} session
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async handleRequest(session, request) {
+        const cacheable = request.method === "GET";
+        const range = request.headers.get("range");
+
+        try {
+            const response = await session.fetch(request, { bypassCustomProtocolHandlers: true });
+
+            if (!cacheable) {
+                return response;
+            }
+
+            if (response.status >= 500) {
+                return offlineCache.readFromCache(request.url, range) || response;
+            }
+
+            if (range && response.status === 206) {
+                offlineCache.downloadToCache(session, request, response);
+                return response;
+            }
+
+            if (response.status === 200 && offlineCache.isCacheableResponse(response)) {
+                /* The page reads one copy of the body while the other is written to disk */
+                const [body, cacheBody] = response.body.tee();
+                offlineCache.writeToCache(request.url, response, cacheBody);
+
+                return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+            }
+
+            return response;
+        } catch (error) {
+            const cachedResponse = cacheable ? offlineCache.readFromCache(request.url, range) : null;
+
+            if (cachedResponse) {
+                logger.debug(`Serving ${request.url} from offline cache`, "offlineCache");
+                return cachedResponse;
+            }
+
+            throw error;
+        }
+    },
+
+    /**
+     * Checks whether a response should be stored in the cache, based on its content type and size.
+     *
+     * @param {Response} response
+     * @returns {boolean}
+     */
+    isCacheableResponse(response) {
+        const contentType = response.headers.get("content-type") || "";
+        const contentLength = parseInt(response.headers.get("content-length") || "0", 10);
+        const cacheControl = response.headers.get("cache-control") || "";
+
+        if (cacheControl.includes("no-store") || contentLength > MAX_ENTRY_SIZE) {
+            return false;
+        }
+
+        return CACHEABLE_CONTENT_TYPES.some((type) => contentType.includes(type));
+    },
+
+    /**
+     * Downloads the whole file of a byte range response to the cache in the background, unless the cache already has
+     * a copy of the same size.
+     *
+     * @async
+     * @param {Electron.Session} session
+     * @param {Request} request - The range request.
+     * @param {Response} rangeResponse - The response to the range request, which has the total size.
+     * @returns {Promise<void>}
+     */
+    async downloadToCache(session, request, rangeResponse) {
+        const key = offlineCache.getCacheKey(request.url);
+        const totalSize = parseInt((rangeResponse.headers.get("content-range") || "").split("/")[1], 10);
+
+        if (downloads.has(key) || totalSize > MAX_ENTRY_SIZE || offlineCache.readCacheMeta(request.url).size === totalSize) {
+            return;
+        }
+
+        const headers = new Headers(request.headers);
+        headers.delete("range");
+
+        try {
+            const response = await session.fetch(request.url, { headers: headers, bypassCustomProtocolHandlers: true });
+
+            if (response.status === 200 && offlineCache.isCacheableResponse(response)) {
+                await offlineCache.writeToCache(request.url, response, response.body);
+            } else if (response.body) {
+                await response.body.cancel();
+            }
+        } catch (error) {
+            logger.warn(`Could not download ${request.url} to the offline cache: ${error.message}`, "offlineCache");
+        }
+    },
+
+    /**
+     * Streams a response body to the cache directory, and writes its metadata once the whole body is stored.
+     *
+     * The body is written to a temporary file first, so a download that fails or grows larger than `MAX_ENTRY_SIZE`
+     * never replaces the cached copy.
+     *
+     * @async
+     * @param {string} url
+     * @param {Response} response
+     * @param {ReadableStream} body
+     * @returns {Promise<void>}
+     */
+    async writeToCache(url, response, body) {
+        const key = offlineCache.getCacheKey(url);
+        const bodyFile = path.join(cacheDirectory, `${key}.body`);
+        const partialFile = `${bodyFile}.partial`;
+        let size = 0;
+
+        if (downloads.has(key)) {
+            await body.cancel();
+            return;
+        }
+
+        downloads.add(key);
+
+        try {
+            const sizeLimit = new Transform({
+                transform(chunk, _encoding, callback) {
+                    size += chunk.length;
+                    callback(size > MAX_ENTRY_SIZE ? new Error(`${url} is larger than ${MAX_ENTRY_SIZE} bytes`) : null, chunk);
+                },
+            });
+
+            await pipeline(Readable.fromWeb(body), sizeLimit, fs.createWriteStream(partialFile));
+
+            const meta = {
+                url: url,
+                status: response.status,
+                contentType: response.headers.get("content-type"),
+                size: size,
+                storedAt: Date.now(),
+            };
+
+            fs.renameSync(partialFile, bodyFile);
+            fs.writeFileSync(path.join(cacheDirectory, `${key}.json`), JSON.stringify(meta));
+            offlineCache.pruneCache();
+        } catch (error) {
+            fs.rmSync(partialFile, { force: true });
+            logger.warn(`Could not write ${url} to the offline cache: ${error.message}`, "offlineCache");
+        } finally {
+            downloads.delete(key);
+        }
+    },
+
+    /**
+     * Reads the metadata of a cached response.
+     *
+     * @param {string} url
+     * @returns {object} The metadata, with `contentType` and `size`, or an empty object if the url has not been cached.
+     */
+    readCacheMeta(url) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(cacheDirectory, `${offlineCache.getCacheKey(url)}.json`), "utf8"));
+        } catch {
+            return {};
+        }
+    },
+
+    /**
+     * Reads a cached response for the given url, streamed from disk.
+     *
+     * @param {string} url
+     * @param {string|null} [range] - The `range` header of the request, e.g. "bytes=0-1023". Only a single range is
+     *   supported, other ranges get the whole response.
+     * @returns {Response|null} The cached response, or `null` if the url has not been cached.
+     */
+    readFromCache(url, range = null) {
+        const meta = offlineCache.readCacheMeta(url);
+        const bodyFile = path.join(cacheDirectory, `${offlineCache.getCacheKey(url)}.body`);
+
+        try {
+            const size = fs.statSync(bodyFile).size;
+            const headers = {
+                "content-type": meta.contentType || "application/octet-stream",
+                "accept-ranges": "bytes",
+                "x-offline-cache": "hit",
+            };
+            const match = /^bytes=(\d*)-(\d*)$/.exec((range || "").trim());
+
+            if (!match || (match[1] === "" && match[2] === "")) {
+                return new Response(Readable.toWeb(fs.createReadStream(bodyFile)), {
+                    status: 200,
+                    headers: { ...headers, "content-length": String(size) },
+                });
+            }
+
+            /* "bytes=-500" asks for the last 500 bytes */
+            const start = match[1] === "" ? Math.max(size - parseInt(match[2], 10), 0) : parseInt(match[1], 10);
+            const end = match[1] === "" || match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+
+            if (start > end) {
+                return new Response(null, { status: 416, headers: { ...headers, "content-range": `bytes */${size}` } });
+            }
+
+            return new Response(Readable.toWeb(fs.createReadStream(bodyFile, { start: start, end: end })), {
+                status: 206,
+                headers: { ...headers, "content-length": String(end - start + 1), "content-range": `bytes ${start}-${end}/${size}` },
+            });
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Removes the least recently stored entries until the cache is below `MAX_CACHE_SIZE`.
+     *
+     * @returns {void}
+     */
+    pruneCache() {
+        const entries = fs
+            .readdirSync(cacheDirectory)
+            .filter((file) => file.endsWith(".json"))
+            .map((file) => {
+                try {
+                    return { key: file.replace(".json", ""), ...JSON.parse(fs.readFileSync(path.join(cacheDirectory, file), "utf8")) };
+                } catch {
+                    return { key: file.replace(".json", ""), size: 0, storedAt: 0 };
+                }
+            })
+            .sort((a, b) => a.storedAt - b.storedAt);
+
+        let totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+        while (totalSize > MAX_CACHE_SIZE && entries.length > 0) {
+            const entry = entries.shift();
+            fs.rmSync(path.join(cacheDirectory, `${entry.key}.body`), { force: true });
+            fs.rmSync(path.join(cacheDirectory, `${entry.key}.json`), { force: true });
+            totalSize -= entry.size || 0;
+        }
+    },
+
+    /**
+     * Deletes every cached response.
+     *
+     * @returns {void}
+     */
+    clearOfflineCache() {
+        try {
+            fs.rmSync(offlineCache.getCacheDirectory(), { recursive: true, force: true });
+
+            if (cacheEnabled) {
+                fs.mkdirSync(cacheDirectory, { recursive: true });
+            }
+        } catch (error) {
+            logger.logError(error, "clearOfflineCache", "offlineCache");
+        }
+    },
+
+    /**
+     * Creates a filesystem safe cache key from a url.
+     *
+     * @param {string} url
+     * @returns {string}
+     */
+    getCacheKey(url) {
+        return crypto.createHash("sha256").update(url).digest("hex");
+    },
+});
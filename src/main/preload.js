@@ -7,8 +7,14 @@ contextBridge.exposeInMainWorld("api", {
             "reboot_device",
             "restart_app",
             "request_device_info",
+            "content_ready",
             "upgrade_firmware",
             "update_app",
+            "set_maintenance_window",
+            "set_update_channel",
+            "get_management_api",
+            "set_management_api",
+            "run_maintenance",
             "pincode",
             "factory_reset",
             "set_screen_rotation",
@@ -16,21 +22,49 @@ contextBridge.exposeInMainWorld("api", {
             "set_screen_resolution",
             "search_after_networks",
             "connect_to_network",
+            "configure_wired_enterprise",
+            "get_saved_networks",
+            "run_network_diagnostics",
+            "open_captive_portal",
+            "forget_network",
+            "set_network_priorities",
             "go_to_screen",
+            "get_provisioning_status",
             "set_host",
             "set_lang",
             "connect_to_dns",
+            "get_ip_configuration",
+            "set_ip_configuration",
+            "set_proxy",
+            "get_clock_status",
+            "set_timezone",
+            "set_ntp_server",
+            "get_audio_status",
+            "set_volume",
+            "mute",
+            "set_audio_output",
+            "get_cec_status",
+            "set_cec",
+            "get_display_settings",
+            "set_display_settings",
             "request_system_stats",
+            "request_screenshot",
+            "request_logs",
+            "export_logs",
+            "set_log_level",
+            "request_screenshot_thumbnails",
             "start_system_stats_stream",
             "stop_system_stats_stream",
             "create_qr_code",
             "check_server_connection",
+            "get_connectivity_status",
             "remove_mouse",
-            "ethernet_status",
             "is_connecting",
             "connecting_result",
             "get_bluetooth_id",
             "wake",
+            "set_display_schedule",
+            "get_display_schedule",
             "sleep"
         ];
         if (validChannels.includes(channel)) {
@@ -41,15 +75,33 @@ contextBridge.exposeInMainWorld("api", {
         const validChannels = [
             "send_device_info",
             "list_of_networks",
+            "saved_networks",
+            "network_diagnostics",
+            "display_schedule",
+            "management_api",
+            "clock_status",
+            "audio_status",
+            "cec_status",
+            "display_settings",
+            "display_status",
+            "provisioning_status",
             "connect_to_network_status",
             "is_connecting",
             "request_physical_id",
-            "ethernet_status",
+            "connectivity_changed",
             "recieve_system_stats",
+            "screenshot",
+            "logs",
+            "export_logs",
+            "screenshot_thumbnail",
             "create_qr_code",
             "dns_registred",
             "dns_registerering",
             "get_screen_resolutions",
+            "get_ip_configuration",
+            "set_ip_configuration",
+            "set_proxy",
+            "set_maintenance_window",
             "open_toaster",
             "get_bluetooth_id"
         ];
@@ -59,14 +111,14 @@ contextBridge.exposeInMainWorld("api", {
     },
 
     getFromStore: (key) => {
-        const validKeys = ["host", "dns", "uuid", "lang", "devMode"];
+        const validKeys = ["host", "dns", "uuid", "lang", "devMode", "proxy"];
 
         if (validKeys.includes(key)) {
             ipcRenderer.send("getFromStore", key);
         }
     },
     resultFromStore: (key, func) => {
-        const validKeys = ["host", "dns", "uuid", "lang", "devMode"];
+        const validKeys = ["host", "dns", "uuid", "lang", "devMode", "proxy"];
         if (validKeys.includes(key)) {
             ipcRenderer.on(key, (event, ...args) => func(...args));
         }
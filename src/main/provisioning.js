@@ -0,0 +1,158 @@
+const { ipcMain } = require("electron");
+
+const { setScreenRotation, setScreenResolution, setTimezone } = require("./utils");
+const { setNtpServer } = require("./clock");
+const NetworkManager = require("./networkManager");
+const { setProxySettings } = require("./proxy");
+const { setDisplaySchedule } = require("./displaySchedule");
+const { setMaintenanceWindow } = require("./maintenance");
+const { setUpdateChannel } = require("./updateChannel");
+const { setManagementApiSettings } = require("./managementApi");
+const { getWebContents } = require("./windowManager");
+const { logger } = require("./appsignal");
+const { store, validateSetting } = require("./store");
+
+const ROTATIONS = ["normal", "left", "right", "inverted"];
+const RESOLUTION_PATTERN = /^\d{3,5}x\d{3,5}$/;
+const COMPLETED_DELAY = 10 * 1000;
+
+/**
+ * The settings that can be provisioned, in the order they are applied.
+ *
+ * The proxy is applied before the network, since connecting checks that the server can be reached. The IP
+ * configuration comes after, as it is reverted if the server can not be reached through it. Each step returns
+ * a result with `success`, and an `error` when the setting could not be applied.
+ */
+const STEPS = [
+    { setting: "host", apply: (value) => provisioning.storeSetting("host", value) },
+    { setting: "language", apply: (value) => provisioning.storeSetting("lang", value) },
+    { setting: "timezone", apply: (value) => setTimezone(value) },
+    { setting: "ntpServer", apply: (value) => setNtpServer(value) },
+    { setting: "proxy", apply: (value) => setProxySettings(value) },
+    { setting: "ethernet", network: true },
+    { setting: "wifi", network: true },
+    { setting: "ipConfiguration", apply: (value) => NetworkManager.setIpConfiguration(value) },
+    {
+        setting: "rotation",
+        apply: (value) => (ROTATIONS.includes(value) ? setScreenRotation(value) : { success: false, error: `Invalid rotation: ${value}. Valid values are: ${ROTATIONS.join(", ")}` }),
+    },
+    {
+        setting: "resolution",
+        apply: (value) => (RESOLUTION_PATTERN.test(value) ? setScreenResolution(value) : { success: false, error: `Invalid resolution: ${value}. It must be like 1920x1080` }),
+    },
+    { setting: "displaySchedule", apply: (value) => setDisplaySchedule(value) },
+    { setting: "maintenanceWindow", apply: (value) => setMaintenanceWindow(value) },
+    { setting: "updateChannel", apply: (value) => setUpdateChannel(value) },
+    { setting: "managementApi", apply: (value) => setManagementApiSettings(value) },
+];
+
+let status = { state: "idle", results: [] };
+
+const provisioning = (module.exports = {
+    /**
+     * Provisions the device from `player-config.json` on first boot, so large rollouts need no manual setup.
+     *
+     * Every setting in the config is applied, even if an earlier one failed, and each result is logged and
+     * sent to the get-started screen as it completes. When every setting succeeds the get-started screen
+     * is skipped. Otherwise it stays open with the report, so the installer can fix what failed.
+     *
+     * Settings imported from a USB stick are applied the same way, see `usbProvisioning.js`.
+     *
+     * @async
+     * @param {object} config - The player config, see `getPlayerConfig`.
+     * @param {string} [source="player-config.json"] - Where the settings come from, for the logs.
+     * @returns {Promise<object|null>} The provisioning status, see `getProvisioningStatus`, or `null` if the config has no settings to provision.
+     */
+    async provisionDevice(config, source = "player-config.json") {
+        const steps = STEPS.filter((step) => config[step.setting] !== undefined);
+
+        if (steps.length === 0) return null;
+
+        logger.info(`Provisioning ${steps.map((step) => step.setting).join(", ")} from ${source}`, "provisioning");
+        provisioning.updateStatus({ state: "running", results: steps.map((step) => ({ setting: step.setting, state: "pending" })) });
+
+        let networkResults;
+
+        for (const step of steps) {
+            provisioning.updateResult(step.setting, { state: "applying" });
+
+            let result;
+
+            try {
+                if (step.network) {
+                    /* Wi-Fi and ethernet are applied together, in the order `setNetworkFromPlayerConfig` needs */
+                    networkResults = networkResults || (await NetworkManager.setNetworkFromPlayerConfig(config, true));
+                    result = networkResults[step.setting];
+                } else {
+                    result = await step.apply(config[step.setting]);
+                }
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            provisioning.reportResult(step.setting, result || { success: false, error: "Not applied, the setting is missing required values" });
+        }
+
+        const succeeded = status.results.every((result) => result.state === "applied");
+
+        provisioning.updateStatus({ ...status, state: succeeded ? "succeeded" : "failed" });
+
+        if (succeeded) {
+            logger.info("Provisioning succeeded, skipping get started", "provisioning");
+            setTimeout(() => ipcMain.emit("go_to_screen"), COMPLETED_DELAY);
+        } else {
+            logger.warn("Provisioning failed, see the report on the get started screen", "provisioning");
+        }
+
+        return status;
+    },
+
+    /**
+     * Returns the progress of provisioning, for the get-started screen.
+     *
+     * @returns {object} The status:
+     *   - `state` {string}: `idle`, `running`, `succeeded` or `failed`.
+     *   - `results` {Array<object>}: One entry per setting with `setting`, `state` (`pending`, `applying`, `applied` or `failed`) and an `error` if it failed.
+     */
+    getProvisioningStatus() {
+        return status;
+    },
+
+    storeSetting(key, value) {
+        const error = validateSetting(key, value);
+
+        if (error) {
+            return { success: false, error: error };
+        }
+
+        store.set(key, value);
+        return { success: true };
+    },
+
+    reportResult(setting, result) {
+        if (result.success) {
+            logger.info(`Provisioned ${setting}`, "provisioning");
+            provisioning.updateResult(setting, { state: "applied" });
+        } else {
+            const error = result.error || result.stderr || result.reason || "Unknown error";
+
+            logger.logError(error, "provisionDevice", "provisioning", { setting: setting });
+            provisioning.updateResult(setting, { state: "failed", error: String(error.message || error) });
+        }
+    },
+
+    updateResult(setting, update) {
+        provisioning.updateStatus({
+            ...status,
+            results: status.results.map((result) => (result.setting === setting ? { setting: setting, ...update } : result)),
+        });
+    },
+
+    updateStatus(update) {
+        status = update;
+
+        if (getWebContents()) {
+            getWebContents().send("provisioning_status", status);
+        }
+    },
+});
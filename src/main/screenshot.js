@@ -0,0 +1,86 @@
+const { getMainWindow, getWebContents } = require("./windowManager");
+const { getScreenRotation } = require("./utils");
+const { logger } = require("./appsignal");
+
+const DEFAULT_MAX_SIZE = 1280;
+const DEFAULT_QUALITY = 75;
+const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_QUALITY = 50;
+const MIN_THUMBNAIL_INTERVAL = 10 * 1000;
+
+let thumbnailInterval;
+
+const screenshot = (module.exports = {
+    /**
+     * Captures what the main window is showing, scaled down and compressed as JPEG.
+     *
+     * The screen is rotated by xrandr, so the window is already laid out in the rotated orientation and the
+     * capture shows the content the way a viewer sees it. Scaling is done on the longest side, so portrait
+     * screens keep their aspect ratio. The rotation is included, so the dashboard can show how the panel is mounted.
+     *
+     * @async
+     * @param {object} [options]
+     * @param {number} [options.maxSize=1280] - The maximum width or height of the image, in pixels.
+     * @param {number} [options.quality=75] - The JPEG quality, from 1 to 100.
+     * @returns {Promise<object|null>} The screenshot, or `null` if the window could not be captured:
+     *   - `image` {string}: The image as a `data:image/jpeg;base64` url.
+     *   - `width` {number}: The width of the image.
+     *   - `height` {number}: The height of the image.
+     *   - `rotation` {string}: The screen rotation, e.g. "normal" or "left".
+     *   - `capturedAt` {number}: When the screenshot was taken, in milliseconds since epoch.
+     */
+    async captureScreenshot(options = {}) {
+        const window = getMainWindow();
+
+        if (!window || window.isDestroyed()) return null;
+
+        const maxSize = Math.max(1, Number(options.maxSize) || DEFAULT_MAX_SIZE);
+        const quality = Math.min(100, Math.max(1, Number(options.quality) || DEFAULT_QUALITY));
+
+        try {
+            const image = await window.webContents.capturePage();
+            const size = image.getSize();
+            const scale = Math.min(1, maxSize / Math.max(size.width, size.height));
+            const resized = scale < 1 ? image.resize({ width: Math.round(size.width * scale), height: Math.round(size.height * scale), quality: "good" }) : image;
+            const { width, height } = resized.getSize();
+
+            return {
+                image: `data:image/jpeg;base64,${resized.toJPEG(quality).toString("base64")}`,
+                width: width,
+                height: height,
+                rotation: (await getScreenRotation()) || "normal",
+                capturedAt: Date.now(),
+            };
+        } catch (error) {
+            logger.logError(error, "captureScreenshot", "screenshot");
+            return null;
+        }
+    },
+
+    /**
+     * Sends a low resolution thumbnail to the content on an interval, for the dashboard.
+     *
+     * @param {number} interval - Milliseconds between thumbnails. 0 stops the thumbnails.
+     * @returns {void}
+     */
+    startThumbnails(interval) {
+        screenshot.stopThumbnails();
+
+        if (!interval) return;
+
+        thumbnailInterval = setInterval(async () => {
+            const thumbnail = await screenshot.captureScreenshot({ maxSize: THUMBNAIL_MAX_SIZE, quality: THUMBNAIL_QUALITY });
+
+            if (thumbnail && getWebContents()) {
+                getWebContents().send("screenshot_thumbnail", thumbnail);
+            }
+        }, Math.max(interval, MIN_THUMBNAIL_INTERVAL));
+    },
+
+    stopThumbnails() {
+        if (thumbnailInterval) {
+            clearInterval(thumbnailInterval);
+            thumbnailInterval = null;
+        }
+    },
+});
@@ -1,4 +1,291 @@
 const Store = require("electron-store");
-const store = new Store();
+const { writeLogEntry } = require("./logFile");
 
-exports.store = store;
\ No newline at end of file
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/i;
+const IP_LIST_PATTERN = /^(\d{1,3}(\.\d{1,3}){3})([ ,]+\d{1,3}(\.\d{1,3}){3})*$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * The settings stored on the device, with their type, default and the values they accept.
+ *
+ * Each setting is described by:
+ *   - `type` {string}: `string`, `boolean`, `integer`, `number`, `object` or `array`.
+ *   - `default` {any}: Returned by `store.get` when the setting is not stored and no other default is given.
+ *   - `nullable` {boolean}: Whether `null` is accepted.
+ *   - `enum` {Array}: The accepted values.
+ *   - `pattern` {RegExp}: A pattern strings must match.
+ *   - `minimum` / `maximum` {number}: The range numbers must be within.
+ *   - `properties` {object}: The settings of an object, described the same way. Properties that are not listed are accepted.
+ *
+ * Settings with a domain of their own, such as the display schedule, are validated in more detail by their module.
+ */
+const SCHEMA = {
+    settingsVersion: { type: "integer", minimum: 0, default: 0 },
+    host: { type: "string", pattern: HOST_PATTERN, default: "app.pintomind.com" },
+    lang: { type: "string", enum: ["en", "nb"], default: "en" },
+    dns: { type: "string", pattern: IP_LIST_PATTERN },
+    uuid: { type: "string" },
+    ntpServer: { type: "string", pattern: /^[a-z0-9.:-]+( [a-z0-9.:-]+)*$/i },
+    devMode: { type: "boolean", default: false },
+    firstTime: { type: "boolean", default: true },
+    logLevel: { type: "string", enum: ["debug", "info", "warn", "error"], default: "info" },
+    proxy: {
+        type: "object",
+        default: { mode: "none" },
+        properties: {
+            mode: { type: "string", enum: ["none", "fixed", "pac"] },
+            url: { type: "string" },
+            pacUrl: { type: "string" },
+            bypass: { type: "string" },
+            username: { type: "string" },
+            password: { type: "string" },
+        },
+    },
+    appliedNetworkConfig: { type: "string" },
+    ipConfiguration: { type: "object" },
+    watchdogRestarts: { type: "integer", minimum: 0, default: 0 },
+    displaySchedule: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            weekly: { type: "object" },
+            exceptions: { type: "array" },
+        },
+    },
+    displayOverride: {
+        type: "object",
+        properties: {
+            on: { type: "boolean" },
+            until: { type: "integer", nullable: true },
+        },
+    },
+    maintenanceWindow: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            start: { type: "string", pattern: TIME_PATTERN },
+            end: { type: "string", pattern: TIME_PATTERN },
+            rebootIntervalDays: { type: "integer", minimum: 0 },
+        },
+    },
+    pendingFirmwareUpgrade: { type: "boolean" },
+    updateChannel: {
+        type: "object",
+        properties: {
+            channel: { type: "string", enum: ["stable", "beta", "pinned"] },
+            version: { type: "string", nullable: true },
+        },
+    },
+    pendingUpdate: {
+        type: "object",
+        properties: {
+            version: { type: "string" },
+            previousVersion: { type: "string" },
+            installedAt: { type: "integer" },
+        },
+    },
+    rolledBackVersion: { type: "string" },
+    displays: { type: "object", default: {} },
+    cec: {
+        type: "object",
+        default: { enabled: true },
+        properties: {
+            enabled: { type: "boolean" },
+        },
+    },
+    audio: {
+        type: "object",
+        properties: {
+            volume: { type: "integer", minimum: 0, maximum: 100 },
+            muted: { type: "boolean" },
+            output: { type: "string", enum: ["auto", "hdmi", "analog"] },
+        },
+    },
+    managementApi: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            port: { type: "integer", minimum: 1, maximum: 65535 },
+            token: { type: "string", nullable: true },
+        },
+    },
+};
+
+/**
+ * Migrations that bring settings stored by older versions up to date, keyed by the settings version they migrate to.
+ *
+ * Migrations run once, in order, when the app starts. Add a new migration with the next version number when a
+ * setting is renamed or restructured, and never change a migration that has been released.
+ */
+const MIGRATIONS = {
+    /* Older versions stored the host as typed in, and booleans from player-config.json as strings */
+    1: (store) => {
+        if (typeof store.get("host") === "string") {
+            store.set("host", normalizeHost(store.get("host")));
+        }
+
+        for (const key of ["devMode", "firstTime"]) {
+            if (store.get(key) === "true" || store.get(key) === "false") {
+                store.set(key, store.get(key) === "true");
+            }
+        }
+    },
+};
+
+const SETTINGS_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+class SettingsStore extends Store {
+    /**
+     * Returns a setting, or the default from the schema when it is not stored and no default is given.
+     *
+     * @param {string} key
+     * @param {any} [defaultValue]
+     * @returns {any}
+     */
+    get(key, defaultValue) {
+        if (arguments.length < 2 && SCHEMA[key] && "default" in SCHEMA[key]) {
+            return super.get(key, structuredClone(SCHEMA[key].default));
+        }
+
+        return super.get(key, defaultValue);
+    }
+
+    /**
+     * Validates and stores a setting, or an object of settings.
+     *
+     * @param {string|object} key
+     * @param {any} [value]
+     * @returns {void}
+     * @throws {Error} If a value does not match the schema.
+     */
+    set(key, value) {
+        const settings = typeof key === "object" ? key : { [key]: value };
+
+        for (const [name, settingValue] of Object.entries(settings)) {
+            const error = validateSetting(name, settingValue);
+
+            if (error) {
+                throw new Error(error);
+            }
+        }
+
+        super.set(key, value);
+    }
+}
+
+/**
+ * Validates a value for a setting.
+ *
+ * Settings that are not in the schema are not validated.
+ *
+ * @param {string} key - The setting, e.g. "host".
+ * @param {any} value
+ * @returns {string|null} A description of what is wrong, or `null` if the value is valid.
+ */
+function validateSetting(key, value) {
+    return SCHEMA[key] ? validateValue(SCHEMA[key], value, key) : null;
+}
+
+function validateValue(schema, value, name) {
+    if (value === null && schema.nullable) return null;
+
+    const valid = {
+        string: typeof value === "string",
+        boolean: typeof value === "boolean",
+        integer: Number.isInteger(value),
+        number: typeof value === "number" && !isNaN(value),
+        object: typeof value === "object" && value !== null && !Array.isArray(value),
+        array: Array.isArray(value),
+    }[schema.type];
+
+    if (!valid) {
+        return `Invalid ${name}: ${JSON.stringify(value)}. It must be ${schema.type === "integer" || schema.type === "array" ? "an" : "a"} ${schema.type}`;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `Invalid ${name}: ${JSON.stringify(value)}. Valid values are: ${schema.enum.join(", ")}`;
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return `Invalid ${name}: ${JSON.stringify(value)}`;
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return `Invalid ${name}: ${value}. It must be at least ${schema.minimum}`;
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return `Invalid ${name}: ${value}. It must be at most ${schema.maximum}`;
+    }
+
+    for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[property] === undefined) continue;
+
+        const error = validateValue(propertySchema, value[property], `${name}.${property}`);
+        if (error) return error;
+    }
+
+    return null;
+}
+
+/**
+ * Reduces a host as typed in, e.g. "https://example.com/player", to the host name the player connects to.
+ *
+ * @param {string} host
+ * @returns {string}
+ */
+function normalizeHost(host) {
+    return host.trim().replace(/^https?:\/\//i, "").replace(/\/.*$/, "");
+}
+
+/**
+ * Runs the migrations the stored settings have not been through yet.
+ *
+ * A migration that fails is logged and stops the remaining ones, and is tried again on the next start.
+ *
+ * @param {Store} store
+ * @returns {void}
+ */
+function migrateSettings(store) {
+    const currentVersion = store.get("settingsVersion");
+
+    for (let version = currentVersion + 1; version <= SETTINGS_VERSION; version++) {
+        try {
+            MIGRATIONS[version](store);
+            store.set("settingsVersion", version);
+            writeLogEntry({ level: "info", namespace: "store", message: `Migrated settings to version ${version}` });
+        } catch (error) {
+            console.error(`store:migrateSettings - ${error}`);
+            writeLogEntry({ level: "error", namespace: "store", action: "migrateSettings", message: `Migration to version ${version} failed: ${error}` });
+            return;
+        }
+    }
+}
+
+/**
+ * Removes stored values that do not match the schema, so the app starts with their defaults instead of failing.
+ *
+ * electron-store's own `schema` option is not used, as it refuses to open a file with a single invalid value.
+ *
+ * @param {Store} store
+ * @returns {void}
+ */
+function removeInvalidSettings(store) {
+    for (const [key, value] of Object.entries(store.store)) {
+        const error = validateSetting(key, value);
+
+        if (error) {
+            store.delete(key);
+            writeLogEntry({ level: "warn", namespace: "store", message: `Removed invalid setting. ${error}` });
+        }
+    }
+}
+
+const store = new SettingsStore();
+
+migrateSettings(store);
+removeInvalidSettings(store);
+
+exports.store = store;
+exports.validateSetting = validateSetting;
+exports.normalizeHost = normalizeHost;
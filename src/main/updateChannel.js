@@ -0,0 +1,196 @@
+const { app } = require("electron");
+const fs = require("fs");
+
+const pjson = require("../../package.json");
+const { autoUpdater } = require("./autoUpdater");
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const CHANNELS = ["stable", "beta", "pinned"];
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[\w.]+)?$/;
+const GITHUB_OWNER = "favo";
+const GITHUB_REPO = "pintomind-os-player";
+const ROLLBACK_TIMEOUT = 10 * 60 * 1000;
+
+let rollbackTimeout;
+
+const updateChannel = (module.exports = {
+    /**
+     * Returns the stored update channel.
+     *
+     * Devices that have `devMode` enabled from before channels existed are on the beta channel.
+     *
+     * @returns {object} The update channel:
+     *   - `channel` {string}: `stable`, `beta` for prereleases, or `pinned` to stay on one version.
+     *   - `version` {string|null}: The version to install, when `channel` is `pinned`.
+     */
+    getUpdateChannel() {
+        return store.get("updateChannel", { channel: store.get("devMode", false) ? "beta" : "stable", version: null });
+    },
+
+    /**
+     * Validates, stores and applies a new update channel.
+     *
+     * Choosing a channel also clears a version that has been rolled back, so it can be tried again.
+     *
+     * @param {object|string} settings - The update channel, see `getUpdateChannel`, or just the channel name.
+     * @returns {object} An object with `success`, and an `error` if the channel is invalid.
+     */
+    setUpdateChannel(settings) {
+        const { channel, version } = typeof settings === "string" ? { channel: settings } : settings || {};
+
+        if (!CHANNELS.includes(channel)) {
+            return { type: "update channel", success: false, error: `Invalid update channel: ${channel}. Valid values are: ${CHANNELS.join(", ")}` };
+        }
+
+        if (channel === "pinned" && !VERSION_PATTERN.test(version)) {
+            return { type: "update channel", success: false, error: `Invalid version: ${version}. A pinned channel needs a version like 1.2.3` };
+        }
+
+        store.set("updateChannel", { channel: channel, version: channel === "pinned" ? version : null });
+        store.delete("rolledBackVersion");
+
+        updateChannel.applyUpdateChannel();
+
+        return { type: "update channel", success: true };
+    },
+
+    /**
+     * Points the auto-updater at the stored channel.
+     *
+     * Stable and beta use the latest GitHub release, with or without prereleases. A pinned version reads
+     * the update info from that release directly, and is allowed to be older than the running version.
+     *
+     * @returns {void}
+     */
+    applyUpdateChannel() {
+        const { channel, version } = updateChannel.getUpdateChannel();
+
+        autoUpdater.allowPrerelease = channel === "beta";
+        autoUpdater.allowDowngrade = channel === "pinned";
+
+        if (channel === "pinned") {
+            autoUpdater.setFeedURL({ provider: "generic", url: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/releases/download/v${version}` });
+        } else {
+            autoUpdater.setFeedURL({ provider: "github", owner: GITHUB_OWNER, repo: GITHUB_REPO });
+        }
+    },
+
+    /**
+     * Checks whether an available update should be skipped.
+     *
+     * A version that has been rolled back is not installed again, and a pinned device that already runs
+     * its version has nothing to install.
+     *
+     * @param {string} version - The version of the available update.
+     * @returns {boolean}
+     */
+    shouldSkipVersion(version) {
+        const { channel, version: pinnedVersion } = updateChannel.getUpdateChannel();
+
+        if (version === store.get("rolledBackVersion")) {
+            logger.info(`Skipping update to ${version}, it has been rolled back before`, "updateChannel");
+            return true;
+        }
+
+        return channel === "pinned" && pinnedVersion === pjson.version;
+    },
+
+    /**
+     * Keeps a copy of the running AppImage before an update is installed, so it can be restored.
+     *
+     * @param {string} version - The version that is about to be installed.
+     * @returns {void}
+     */
+    prepareRollback(version) {
+        const appImage = process.env.APPIMAGE;
+
+        if (!appImage) return;
+
+        try {
+            fs.copyFileSync(appImage, `${appImage}.previous`);
+            store.set("pendingUpdate", { version: version, previousVersion: pjson.version, installedAt: Date.now() });
+        } catch (error) {
+            logger.logError(error, "prepareRollback", "updateChannel");
+        }
+    },
+
+    /**
+     * Checks whether the app has just been updated, and rolls back unless the content reports ready in time.
+     *
+     * The deadline is counted from when the update was installed, so restarts by the watchdog do not extend it.
+     *
+     * @returns {void}
+     */
+    checkPendingUpdate() {
+        const pendingUpdate = store.get("pendingUpdate", null);
+
+        if (!pendingUpdate) return;
+
+        if (pendingUpdate.version !== pjson.version) {
+            /* The update was never installed */
+            store.delete("pendingUpdate");
+            return;
+        }
+
+        const remaining = pendingUpdate.installedAt + ROLLBACK_TIMEOUT - Date.now();
+
+        if (remaining <= 0) {
+            updateChannel.rollback(pendingUpdate);
+        } else {
+            rollbackTimeout = setTimeout(() => updateChannel.rollback(pendingUpdate), remaining);
+        }
+    },
+
+    /**
+     * Confirms that the updated app works. Called when the content has sent `player_ready_received`.
+     *
+     * @returns {void}
+     */
+    confirmUpdate() {
+        if (!store.has("pendingUpdate")) return;
+
+        clearTimeout(rollbackTimeout);
+        logger.info(`Update to ${pjson.version} confirmed`, "updateChannel");
+        store.delete("pendingUpdate");
+    },
+
+    /**
+     * Restores the previous AppImage and restarts into it.
+     *
+     * The copy is written next to the AppImage and renamed over it, so the running image is never modified in place.
+     *
+     * @param {object} pendingUpdate - The update that failed, with `version` and `previousVersion`.
+     * @returns {void}
+     */
+    rollback(pendingUpdate) {
+        const appImage = process.env.APPIMAGE;
+
+        try {
+            fs.copyFileSync(`${appImage}.previous`, `${appImage}.rollback`);
+            fs.renameSync(`${appImage}.rollback`, appImage);
+        } catch (error) {
+            /* The pending update is kept, so the rollback is tried again on the next start */
+            logger.logError(error, "rollback", "updateChannel");
+            return;
+        }
+
+        store.delete("pendingUpdate");
+        store.set("rolledBackVersion", pendingUpdate.version);
+        logger.logError(`Version ${pendingUpdate.version} did not report ready in time, rolling back to ${pendingUpdate.previousVersion}`, "rollback", "updateChannel");
+
+        app.relaunch({ execPath: appImage });
+        app.exit(0);
+    },
+
+    /**
+     * Returns a description of the update channel for device info, e.g. "stable" or "pinned (1.2.3)".
+     *
+     * @returns {string}
+     */
+    describeUpdateChannel() {
+        const { channel, version } = updateChannel.getUpdateChannel();
+
+        return channel === "pinned" ? `${channel} (${version})` : channel;
+    },
+});
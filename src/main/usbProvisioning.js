@@ -0,0 +1,331 @@
+const { dialog } = require("electron");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const quote = require("shell-quote/quote");
+
+const { executeCommand, getPlayerConfig, sendDeviceInfo, getSystemStats, getScreenRotation, getAllScreenResolution, readBluetoothID } = require("./utils");
+const NetworkManager = require("./networkManager");
+const { provisionDevice } = require("./provisioning");
+const { getProxySettings } = require("./proxy");
+const { getDisplaySchedule } = require("./displaySchedule");
+const { getMaintenanceWindow } = require("./maintenance");
+const { getUpdateChannel } = require("./updateChannel");
+const { exportLogs } = require("./logFile");
+const { getMainWindow } = require("./windowManager");
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const PROVISIONING_FILE_NAME = "pintomind-provisioning.json";
+const CHECK_INTERVAL = 5 * 1000;
+const MAX_FILE_SIZE = 1024 * 1024;
+const DIALOG_TIMEOUT = 2 * 60 * 1000;
+/* A checksum does not show who wrote the file, so settings that decide where the player connects need a signature */
+const SIGNED_SETTINGS = ["host", "proxy", "managementApi"];
+
+let checkInterval;
+let knownMountpoints = new Set();
+let mountAttempts = new Set();
+let busy = false;
+
+const usbProvisioning = (module.exports = {
+    /**
+     * Starts watching for USB sticks.
+     *
+     * When a stick is inserted the installer is asked whether to apply the provisioning file on it, if
+     * there is one, or to export the settings and a diagnostics bundle to it. USB provisioning can be
+     * turned off with `"usbProvisioning": { "enabled": false }` in `player-config.json`.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async startUsbProvisioning() {
+        const config = (await getPlayerConfig()).usbProvisioning || {};
+
+        if (checkInterval || config.enabled === false) return;
+
+        /* Sticks that are inserted when the app starts are not prompted for */
+        knownMountpoints = new Set(await usbProvisioning.getRemovableMountpoints());
+        checkInterval = setInterval(() => usbProvisioning.checkRemovableMedia(), CHECK_INTERVAL);
+    },
+
+    async checkRemovableMedia() {
+        const mountpoints = await usbProvisioning.getRemovableMountpoints();
+        const inserted = mountpoints.filter((mountpoint) => !knownMountpoints.has(mountpoint));
+
+        knownMountpoints = new Set(mountpoints);
+
+        if (inserted.length > 0 && !busy) {
+            logger.info(`USB stick mounted at ${inserted[0]}`, "usbProvisioning");
+            busy = true;
+
+            try {
+                await usbProvisioning.handleUsbStick(inserted[0]);
+            } catch (error) {
+                logger.logError(error, "handleUsbStick", "usbProvisioning");
+            } finally {
+                busy = false;
+            }
+        }
+    },
+
+    /**
+     * Returns where the partitions of removable drives are mounted.
+     *
+     * Partitions that are not mounted are mounted with `udisksctl`, once, and show up on the next check.
+     *
+     * @async
+     * @returns {Promise<Array<string>>}
+     */
+    async getRemovableMountpoints() {
+        const result = await executeCommand("lsblk --json --output NAME,RM,TRAN,FSTYPE,MOUNTPOINT", "list block devices");
+
+        if (!result.success) return [];
+
+        const mountpoints = [];
+        const devices = [];
+        const visit = (device, removable) => {
+            const isRemovable = removable || device.rm === true || device.rm === "1" || device.tran === "usb";
+
+            devices.push(device.name);
+
+            if (isRemovable && device.mountpoint) {
+                mountpoints.push(device.mountpoint);
+            } else if (isRemovable && device.fstype && !device.children && !mountAttempts.has(device.name)) {
+                mountAttempts.add(device.name);
+                executeCommand(quote(["udisksctl", "mount", "--block-device", `/dev/${device.name}`, "--no-user-interaction"]), "mount usb stick");
+            }
+
+            (device.children || []).forEach((child) => visit(child, isRemovable));
+        };
+
+        try {
+            JSON.parse(result.stdout).blockdevices.forEach((device) => visit(device, false));
+
+            /* A stick that is removed and inserted again is mounted again */
+            mountAttempts = new Set([...mountAttempts].filter((name) => devices.includes(name)));
+        } catch (error) {
+            logger.logError(error, "getRemovableMountpoints", "usbProvisioning");
+        }
+
+        return mountpoints;
+    },
+
+    /**
+     * Asks the installer what to do with an inserted USB stick, and does it.
+     *
+     * @async
+     * @param {string} mountpoint
+     * @returns {Promise<void>}
+     */
+    async handleUsbStick(mountpoint) {
+        const provisioningFile = await usbProvisioning.readProvisioningFile(mountpoint);
+        const actions = ["usb_export", "usb_cancel"];
+        let detail = translate("usb_no_provisioning_file");
+
+        if (provisioningFile && provisioningFile.success) {
+            const settings = Object.keys(provisioningFile.settings);
+
+            if (settings.length > 0) {
+                actions.unshift("usb_apply");
+                detail = `${translate("usb_provisioning_file_found")}\n\n${settings.join(", ")}`;
+            } else {
+                detail = translate("usb_nothing_to_apply");
+            }
+
+            if (provisioningFile.unsigned.length > 0) {
+                detail += `\n\n${translate("usb_signature_required")}\n\n${provisioningFile.unsigned.join(", ")}`;
+            }
+        } else if (provisioningFile) {
+            detail = `${translate("usb_provisioning_file_invalid")}\n\n${provisioningFile.error}`;
+        }
+
+        const { response } = await usbProvisioning.showMessage("question", translate("usb_stick_inserted"), detail, actions);
+
+        switch (actions[response]) {
+            case "usb_apply": {
+                const status = await provisionDevice(provisioningFile.settings, "USB stick");
+
+                /* None of the settings in the file are known */
+                if (!status) {
+                    await usbProvisioning.showMessage("warning", translate("usb_nothing_to_apply"), Object.keys(provisioningFile.settings).join(", "));
+                    break;
+                }
+
+                const report = status.results.map((result) => `${result.state === "applied" ? "✓" : "✕"} ${result.setting}${result.error ? `: ${result.error}` : ""}`);
+
+                await usbProvisioning.showMessage(status.state === "succeeded" ? "info" : "warning", translate(`provisioning_${status.state}`), report.join("\n"));
+                break;
+            }
+            case "usb_export": {
+                const result = await usbProvisioning.exportToUsbStick(mountpoint);
+
+                await usbProvisioning.showMessage(result.success ? "info" : "error", translate(result.success ? "usb_export_done" : "usb_export_failed"), result.success ? result.path : result.error);
+                break;
+            }
+        }
+    },
+
+    /**
+     * Reads and verifies the provisioning file on a USB stick.
+     *
+     * The file is `pintomind-provisioning.json`, with the same settings as `player-config.json`. It must have a
+     * checksum next to it, `pintomind-provisioning.json.sha256` as written by `sha256sum`. When `player-config.json`
+     * has `"usbProvisioning": { "publicKey": "..." }`, it must be signed instead, with the signature in
+     * `pintomind-provisioning.json.sig`, e.g. from `openssl dgst -sha256 -sign key.pem`.
+     *
+     * The checksum only catches a file that is corrupt. It is not authentication, since anyone can write both files.
+     * So `host`, `proxy` and `managementApi` are left out of a file that is not signed.
+     *
+     * @async
+     * @param {string} mountpoint
+     * @returns {Promise<object|null>} `null` if there is no provisioning file, or an object with `success`, and
+     *   `settings` and the `unsigned` settings that were left out if the file is valid, or an `error` if it is not.
+     */
+    async readProvisioningFile(mountpoint) {
+        const file = path.join(mountpoint, PROVISIONING_FILE_NAME);
+
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            if (fs.statSync(file).size > MAX_FILE_SIZE) {
+                return { success: false, error: "The provisioning file is too large" };
+            }
+
+            const content = fs.readFileSync(file);
+            const { publicKey } = (await getPlayerConfig()).usbProvisioning || {};
+            const error = publicKey ? usbProvisioning.verifySignature(file, content, publicKey) : usbProvisioning.verifyChecksum(file, content);
+
+            if (error) {
+                logger.logError(error, "readProvisioningFile", "usbProvisioning");
+                return { success: false, error: error };
+            }
+
+            const settings = JSON.parse(content);
+
+            if (settings === null || typeof settings !== "object" || Array.isArray(settings)) {
+                return { success: false, error: "The provisioning file must contain a JSON object" };
+            }
+
+            const unsigned = publicKey ? [] : SIGNED_SETTINGS.filter((setting) => settings[setting] !== undefined);
+
+            unsigned.forEach((setting) => delete settings[setting]);
+
+            return { success: true, settings: settings, unsigned: unsigned };
+        } catch (error) {
+            logger.logError(error, "readProvisioningFile", "usbProvisioning");
+            return { success: false, error: error.message };
+        }
+    },
+
+    verifyChecksum(file, content) {
+        if (!fs.existsSync(`${file}.sha256`)) {
+            return `Missing checksum file ${path.basename(file)}.sha256`;
+        }
+
+        const expected = fs.readFileSync(`${file}.sha256`, "utf8").trim().split(/\s+/)[0].toLowerCase();
+        const actual = crypto.createHash("sha256").update(content).digest("hex");
+
+        return expected === actual ? null : "The checksum does not match the provisioning file";
+    },
+
+    verifySignature(file, content, publicKey) {
+        if (!fs.existsSync(`${file}.sig`)) {
+            return `Missing signature file ${path.basename(file)}.sig`;
+        }
+
+        const valid = crypto.verify("sha256", content, publicKey, fs.readFileSync(`${file}.sig`));
+
+        return valid ? null : "The signature does not match the provisioning file";
+    },
+
+    /**
+     * Exports the settings and a diagnostics bundle to a folder on a USB stick.
+     *
+     * The folder contains:
+     *   - `pintomind-provisioning.json` with its checksum, which can be copied to the root of a stick to provision other devices.
+     *     Passwords and tokens are left out. The host and proxy are only applied from a signed copy, see `readProvisioningFile`.
+     *   - `device-info.json`, `system-stats.json` and `network-diagnostics.json`.
+     *   - `player.log`, with the content of every log file, with command lines redacted by `exportLogs`.
+     *
+     * @async
+     * @param {string} mountpoint
+     * @returns {Promise<object>} An object with `success`, and the `path` of the folder or an `error`.
+     */
+    async exportToUsbStick(mountpoint) {
+        const bluetoothId = await readBluetoothID();
+        const folder = path.join(mountpoint, `pintomind-export-${bluetoothId}-${new Date().toISOString().replace(/[:.]/g, "-")}`);
+
+        try {
+            fs.mkdirSync(folder);
+
+            const settings = JSON.stringify(await usbProvisioning.getExportSettings(), null, 4);
+            fs.writeFileSync(path.join(folder, PROVISIONING_FILE_NAME), settings);
+            fs.writeFileSync(path.join(folder, `${PROVISIONING_FILE_NAME}.sha256`), `${crypto.createHash("sha256").update(settings).digest("hex")}  ${PROVISIONING_FILE_NAME}\n`);
+
+            fs.writeFileSync(path.join(folder, "device-info.json"), JSON.stringify(await sendDeviceInfo(), null, 4));
+            fs.writeFileSync(path.join(folder, "system-stats.json"), JSON.stringify(await getSystemStats(), null, 4));
+            fs.writeFileSync(path.join(folder, "network-diagnostics.json"), JSON.stringify(await NetworkManager.runNetworkDiagnostics(), null, 4));
+            fs.writeFileSync(path.join(folder, "player.log"), exportLogs());
+
+            await executeCommand("sync", "sync usb stick");
+            logger.info(`Exported settings and diagnostics to ${folder}`, "usbProvisioning");
+
+            return { success: true, path: folder };
+        } catch (error) {
+            logger.logError(error, "exportToUsbStick", "usbProvisioning");
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Returns the current settings in the format of the provisioning file, without passwords and tokens.
+     *
+     * @async
+     * @returns {Promise<object>}
+     */
+    async getExportSettings() {
+        const proxy = getProxySettings();
+        const ipConfiguration = store.get("ipConfiguration");
+
+        return {
+            host: store.get("host"),
+            language: store.get("lang"),
+            proxy: proxy.mode === "none" ? undefined : { ...proxy, password: "" },
+            /* The connection name differs between devices, so the active connection is used on import */
+            ipConfiguration: ipConfiguration ? { ...NetworkManager.toIpConfig(ipConfiguration), connection: undefined } : undefined,
+            rotation: (await getScreenRotation()) || undefined,
+            resolution: (await getAllScreenResolution()).current || undefined,
+            displaySchedule: getDisplaySchedule(),
+            maintenanceWindow: getMaintenanceWindow(),
+            updateChannel: getUpdateChannel(),
+        };
+    },
+
+    /**
+     * Shows a message box over the main window.
+     *
+     * The message box is closed after `DIALOG_TIMEOUT`, as if the last button was chosen, so a stick that is inserted
+     * while nobody is at the screen does not keep the next stick from being handled.
+     *
+     * @async
+     * @param {string} type - "info", "warning", "error" or "question".
+     * @param {string} message
+     * @param {string} detail
+     * @param {Array<string>} [buttons=["ok"]] - The translation keys of the buttons. The last button cancels.
+     * @returns {Promise<object>} The result of `dialog.showMessageBox`, with the index of the chosen button as `response`.
+     */
+    showMessage(type, message, detail, buttons = ["ok"]) {
+        const options = { type: type, title: translate("usb_stick_inserted"), message: message, detail: detail, buttons: buttons.map(translate), cancelId: buttons.length - 1, signal: AbortSignal.timeout(DIALOG_TIMEOUT) };
+
+        return getMainWindow() ? dialog.showMessageBox(getMainWindow(), options) : dialog.showMessageBox(options);
+    },
+});
+
+function translate(key) {
+    try {
+        return require(`../i18n/${store.get("lang")}.json`)[key] || key;
+    } catch {
+        return key;
+    }
+}
@@ -3,14 +3,20 @@ const pjson = require("../../package.json");
 const si = require("systeminformation");
 const fs = require("fs");
 const crypto = require("crypto");
+const quote = require("shell-quote/quote");
 
 const { promisify } = require("util");
 const execAsync = promisify(nodeChildProcess.exec);
 
 const { getWebContents } = require('./windowManager');
 const { autoUpdater } = require("./autoUpdater");
+const { getProxyEnvironmentPrefix, setProxySettings } = require("./proxy");
+const { describeUpdateChannel, getUpdateChannel, setUpdateChannel } = require("./updateChannel");
+const { describeClock, getClockStatus } = require("./clock");
+const { describeAudio, getAudioStatus } = require("./audio");
+const { describeCec, getCecStatus } = require("./cec");
 const { logger} = require("./appsignal");
-const { store } = require("./store");
+const { store, validateSetting, normalizeHost } = require("./store");
 
 const utils = (module.exports = {
 
@@ -44,18 +50,43 @@ const utils = (module.exports = {
                 stderr: stderr.trim(),
             };
         } catch (error) {
-            logger.logError(error, type || "executeCommand", "utils")
+            const redactedError = utils.redactCommandError(error, type);
+
+            logger.logError(redactedError, type || "executeCommand", "utils")
 
             return {
                 type: type,
                 success: false,
                 stdout: null,
                 stderr: null,
-                error: error,
+                error: redactedError,
             };
         }
     },
 
+    /**
+     * Returns a copy of an `exec` error without the command line.
+     * 
+     * The message of an `exec` error starts with the command, which can contain Wi-Fi passwords, 802.1X credentials
+     * and proxy credentials. The error is logged, queued for AppSignal and returned to callers, so the command is
+     * replaced with the type of command.
+     *
+     * @param {Error} error - The error from `exec`.
+     * @param {string|null} type - The command type, see `executeCommand`.
+     * @returns {Error} An error with the same `code`, `signal`, `stdout` and `stderr`.
+     */
+    redactCommandError(error, type) {
+        const stderr = typeof error.stderr === "string" ? error.stderr.trim() : "";
+        const redactedError = new Error(`${type || "Command"} failed${stderr ? `: ${stderr}` : ""}`);
+
+        redactedError.code = error.code;
+        redactedError.signal = error.signal;
+        redactedError.stdout = error.stdout;
+        redactedError.stderr = error.stderr;
+
+        return redactedError;
+    },
+
     /**
      * Retrieves system statistics including CPU load, memory usage, CPU temperature, CPU speed, and system uptime.
      * 
@@ -164,10 +195,15 @@ const utils = (module.exports = {
             const osInfo = await si.osInfo();
             options["Host"] = store.get("host");
             options["App-version"] = pjson.version;
+            options["Update-channel"] = describeUpdateChannel();
+            options["Clock"] = await describeClock();
+            options["Audio"] = describeAudio();
+            options["TV"] = describeCec();
             options["Platform"] = "PinToMind OS";
             options["Build"] = utils.readBuildVersion()
             options["App-name"] = pjson.name;
             options["Screen-resolutions"] =  await utils.getAllScreenResolution()
+            options["Displays"] = await utils.describeDisplays()
             options["Bluetooth-ID"] =  await utils.readBluetoothID()
             options["Kernel-version"] = osInfo["kernel"]
             const model = await utils.executeCommand("cat /proc/cpuinfo | grep 'Model' | awk -F': ' '{print $2}'")
@@ -202,12 +238,33 @@ const utils = (module.exports = {
         const devMode = store.get("devMode", false);
         const branch = devMode ? "develop" : "main"
         const url = `git+https://github.com/favo/ble-bridge.git\#${branch}`
+        const proxyEnvironment = await getProxyEnvironmentPrefix("https://github.com")
 
         await utils.executeCommand("sudo systemctl stop ble-bridge")
-        await utils.executeCommand(`sudo npm install -g ${url}`)
+        await utils.executeCommand(`sudo ${proxyEnvironment} npm install -g ${url}`)
         await utils.executeCommand("sudo systemctl start ble-bridge")
     },
 
+    /**
+     * Validates and stores the host the player shows content from. The windows have to be reloaded to show it.
+     *
+     * @param {string} host - E.g. "example.com".
+     * @returns {object} An object with `success`, and an `error` if the host is invalid.
+     */
+    setHost(host) {
+        const error = validateSetting("host", host);
+
+        if (error) {
+            logger.logError(error, "setHost", "utils");
+            return { type: "host", success: false, error: error };
+        }
+
+        store.set("host", host);
+        logger.info(`Host set to ${host}`, "utils");
+
+        return { type: "host", success: true };
+    },
+
     /**
      * Reads and returns the configuration from the `player-config.json` file.
      * 
@@ -220,6 +277,9 @@ const utils = (module.exports = {
      *   - `brand` {string}: The brand name (default: "pintomind").
      *   - `host` {string}: The host URL (default: "app.pintomind.com").
      *   - `language` {string}: The language code (default: "en").
+     *   - `devMode` {boolean}, `proxy` {object}, `managementApi` {object}, `updateChannel` {object|string}: Settings stored when missing.
+     *   - `wifi`, `ethernet`, `ipConfiguration`, `rotation`, `resolution`, `timezone`, `ntpServer` and `displaySchedule`: Settings applied
+     *     once, when the device is provisioned on first boot. See `provisioning.js`.
      * 
      * @throws {Error} If the file is not accessible or the JSON is invalid, the function returns a default config instead.
      */
@@ -242,22 +302,42 @@ const utils = (module.exports = {
 
     async setSettingsFromPlayerConfig() {
         const config = await utils.getPlayerConfig()
-        
-        if (! store.has("host")) {
-            store.set("host", config["host"]);
-        }
-    
-        if (! store.has("lang")) {
-            store.set("lang", config["language"]);
-        }
-    
-        if (! store.has("lang") && config["devMode"]) {
-            store.set("devMode", config["devMode"]);
-        }
-    
+
         if (config["appsignal-key"]) {
             logger.setAppsignalKey(config["appsignal-key"]);
         }
+
+        /* Each setting is validated on its own, so one invalid value does not keep the others from being stored */
+        const setFromConfig = (key, value) => {
+            if (store.has(key) || value === undefined) return;
+
+            try {
+                store.set(key, value);
+            } catch (error) {
+                logger.logError(error, "setSettingsFromPlayerConfig", "utils");
+            }
+        };
+
+        setFromConfig("host", typeof config["host"] === "string" ? normalizeHost(config["host"]) : config["host"]);
+        setFromConfig("lang", config["language"]);
+        setFromConfig("devMode", config["devMode"] === "true" || config["devMode"] === "false" ? config["devMode"] === "true" : config["devMode"]);
+        setFromConfig("managementApi", config["managementApi"]);
+
+        if (! store.has("proxy") && config["proxy"]) {
+            const result = await setProxySettings(config["proxy"]);
+
+            if (!result.success) {
+                logger.logError(result.error, "setSettingsFromPlayerConfig", "utils");
+            }
+        }
+
+        if (! store.has("updateChannel") && config["updateChannel"]) {
+            const result = setUpdateChannel(config["updateChannel"]);
+
+            if (!result.success) {
+                logger.logError(result.error, "setSettingsFromPlayerConfig", "utils");
+            }
+        }
     },
 
     /**
@@ -273,8 +353,7 @@ const utils = (module.exports = {
      *
      * @async
      * @param {string} rotation - The desired rotation value. Must be one of "normal", "left", "right", or "inverted".
-     * @throws {Error} Throws an error if the rotation value is invalid.
-     * @returns {Promise<void>} Resolves when the rotation is successfully set and the display configuration is updated.
+     * @returns {Promise<object>} The result of updating the display configuration, or a failure if the rotation is invalid.
      */
     async setScreenRotation(rotation) {
         const validRotations = ["normal", "left", "right", "inverted"];
@@ -285,10 +364,12 @@ const utils = (module.exports = {
             }
 
             fs.writeFileSync("./rotation", rotation);   
+            logger.info(`Screen rotation set to ${rotation}`, "utils")
             
-            await utils.updateDisplayConfiguration()
+            return await utils.updateDisplayConfiguration()
         } catch(error) {
             logger.logError(error,  "setScreenRotation", "utils")
+            return { type: "rotation", success: false, error: error.message };
         }
     },
     
@@ -407,28 +488,56 @@ const utils = (module.exports = {
      * @async
      * @param {string} resolution The resolution to set (e.g., "1920x1080").
      * 
-     * @returns {Promise<void>} A promise that resolves once the screen resolution has been set and 
-     * the display configuration has been updated.
+     * @returns {Promise<object>} The result of updating the display configuration.
      * 
      * @throws {Error} If there is an error during the process (writing to file or updating the configuration),
-     * the error is logged but not rethrown.
+     * the error is logged and returned as a failed result.
      */
     async setScreenResolution(resolution) {
         try {
             fs.writeFileSync("./resolution", resolution);
+            logger.info(`Screen resolution set to ${resolution}`, "utils")
             return await utils.updateDisplayConfiguration()
         } catch(error) {
             logger.logError(error,  "setScreenResolution", "utils")
+            return { type: "resolution", success: false, error: error.message };
         }
     },
+
+    /**
+     * Sets the system time zone.
+     *
+     * The time zone is also set for this process, so the display schedule and maintenance window follow it
+     * without a restart.
+     *
+     * @async
+     * @param {string} timezone - An IANA time zone, e.g. "Europe/Oslo".
+     * @returns {Promise<object>} The result of `timedatectl`, or a failure if the time zone is invalid.
+     */
+    async setTimezone(timezone) {
+        if (!Intl.supportedValuesOf("timeZone").includes(timezone) && timezone !== "UTC") {
+            return { type: "timezone", success: false, error: `Invalid time zone: ${timezone}` };
+        }
+
+        const result = await utils.executeCommand(quote(["sudo", "timedatectl", "set-timezone", timezone]), "timezone");
+
+        if (!result.success) {
+            return { type: "timezone", success: false, error: result.error.message };
+        }
+
+        process.env.TZ = timezone;
+        logger.info(`Time zone set to ${timezone}`, "utils")
+
+        return result;
+    },
     
 
     /**
      * Retrieves all available screen resolutions and the current screen resolution along with rotation information.
      * 
-     * This function uses the `xrandr` command to fetch a list of available screen resolutions. It also determines
-     * the current screen resolution and retrieves the screen rotation. The output is returned as an object containing
-     * a list of all available resolutions, the current resolution, and the current rotation state.
+     * The resolutions are those of the primary display, see `getDisplays`. The rotation is the one stored by
+     * `setScreenRotation`. The output is returned as an object containing a list of all available resolutions,
+     * the current resolution, and the current rotation state.
      * 
      * @async
      * @returns {Promise<object>} An object containing:
@@ -439,18 +548,14 @@ const utils = (module.exports = {
      * @throws {Error} If the `xrandr` command fails or an error occurs while retrieving rotation information, a default object with `null` values will be returned.
      */
     async getAllScreenResolution() {
-        const command = "export DISPLAY=:0 | xrandr"
-        const xrandrOutput = await utils.executeCommand(command);
-        const rotation = await utils.getScreenRotation()
-
-        if (xrandrOutput.success) {
-            const resolutionPattern = /\b\d{3,4}x\d{3,4}\b/g;
-            const currentResolutionPattern = /\b\d{3,4}x\d{3,4}\b(?=\s+\d+.\d+\*)/;
+        const displays = await utils.getDisplays()
+        const primary = displays.find((display) => display.primary)
 
+        if (primary) {
             return {
-                list: xrandrOutput.stdout.match(resolutionPattern),
-                current: xrandrOutput.stdout.match(currentResolutionPattern)[0],
-                rotation: rotation
+                list: primary.list,
+                current: primary.current,
+                rotation: await utils.getScreenRotation()
             };
         } else {
             return {
@@ -462,6 +567,110 @@ const utils = (module.exports = {
 
     },
 
+    /**
+     * Lists the connected displays, as reported by `xrandr`.
+     * 
+     * The display `xrandr` marks as primary comes first. If none is marked, the first connected display is the primary.
+     * 
+     * @async
+     * @returns {Promise<Array<object>>} One object per connected output, or an empty list if `xrandr` fails:
+     *   - `name` {string}: The output, e.g. "HDMI-1".
+     *   - `primary` {boolean}: Whether this is the primary display, which shows the main window.
+     *   - `current` {string|null}: The current resolution, e.g. "1920x1080", or `null` if the output is turned off.
+     *   - `list` {Array<string>}: The resolutions the display supports.
+     *   - `rotation` {string}: "normal", "left", "right" or "inverted".
+     *   - `x` / `y` {number|null}: The position of the display on the desktop.
+     */
+    async getDisplays() {
+        const xrandrOutput = await utils.executeCommand("DISPLAY=:0 xrandr --query", "list displays");
+        const displays = [];
+
+        if (!xrandrOutput.success) return displays;
+
+        for (const line of xrandrOutput.stdout.split("\n")) {
+            const output = line.match(/^(\S+) (connected|disconnected)( primary)?(?: (\d+)x(\d+)\+(\d+)\+(\d+))?(?: (left|right|inverted))?/);
+
+            if (output) {
+                if (output[2] === "connected") {
+                    displays.push({
+                        name: output[1],
+                        primary: Boolean(output[3]),
+                        current: null,
+                        list: [],
+                        rotation: output[8] || "normal",
+                        x: output[6] === undefined ? null : Number(output[6]),
+                        y: output[7] === undefined ? null : Number(output[7]),
+                    });
+                } else {
+                    displays.push(null);
+                }
+
+                continue;
+            }
+
+            const mode = line.match(/^\s+(\d+x\d+)\S*\s+(.*)$/);
+            const display = displays[displays.length - 1];
+
+            if (mode && display) {
+                display.list.push(mode[1]);
+
+                if (mode[2].includes("*")) {
+                    display.current = mode[1];
+                }
+            }
+        }
+
+        const connected = displays.filter(Boolean);
+
+        if (connected.length > 0 && !connected.some((display) => display.primary)) {
+            connected[0].primary = true;
+        }
+
+        return connected.sort((a, b) => b.primary - a.primary);
+    },
+
+    /**
+     * Lists the connected displays for device info, with the content each of them shows.
+     * 
+     * @async
+     * @returns {Promise<Array<object>>} The displays, see `getDisplays`, without the list of resolutions and with
+     *   the `url` and `channel` of their content, see `displayWindows.js`.
+     */
+    async describeDisplays() {
+        const settings = store.get("displays")
+
+        return (await utils.getDisplays()).map(({ list, ...display }) => ({
+            ...display,
+            url: (settings[display.name] || {}).url || null,
+            channel: (settings[display.name] || {}).channel || null,
+        }))
+    },
+
+    /**
+     * Sets the resolution and rotation of a display other than the primary one, and places it to the right of the
+     * display before it. The primary display is set with `setScreenResolution` and `setScreenRotation`.
+     * 
+     * @async
+     * @param {string} name - The output, e.g. "HDMI-2".
+     * @param {object} settings - The settings of the display:
+     *   - `resolution` {string|undefined}: E.g. "1920x1080". The preferred resolution of the display is used if not set.
+     *   - `rotation` {string|undefined}: "normal", "left", "right" or "inverted".
+     * @param {string} rightOf - The output to place the display to the right of.
+     * @returns {Promise<object>} The result of `xrandr`.
+     */
+    async setDisplayOutput(name, settings, rightOf) {
+        const command = quote([
+            "xrandr", "--output", name,
+            ...(settings.resolution ? ["--mode", settings.resolution] : ["--auto"]),
+            "--rotate", settings.rotation || "normal",
+            "--right-of", rightOf,
+        ])
+
+        logger.info(`Display ${name} set to ${settings.resolution || "auto"}, ${settings.rotation || "normal"}`, "utils")
+
+        return await utils.executeCommand(`DISPLAY=:0 ${command}`, "set display output");
+    },
+
     /**
      * Retrieves the device settings, including screen resolution and DNS/host configuration.
      * 
@@ -476,71 +685,124 @@ const utils = (module.exports = {
      *     - `current` {string|null}: The current screen resolution.
      *     - `rotation` {string|null}: The current screen rotation.
      *   - `dns` {string}: The DNS server settings.
+     *   - `ip` {object|undefined}: The last IP configuration set with `setIpConfiguration`, if any.
      *   - `host` {string}: The host configuration.
+     *   - `updateChannel` {object}: The update channel, see `getUpdateChannel`.
+     *   - `clock` {object}: The time zone, NTP and clock skew, see `getClockStatus`.
+     *   - `audio` {object}: The volume, mute and audio output, see `getAudioStatus`.
+     *   - `cec` {object}: Whether the TV is controlled over HDMI-CEC, and its power status, see `getCecStatus`.
+     *   - `displays` {Array<object>}: Every connected display, see `describeDisplays`.
      * 
      * @throws {Error} If there is an issue retrieving any of the settings (screen resolution, DNS, or host), the function may return partial or default values.
      */
     async getDeviceSettings() {
         const screenSettings = await utils.getAllScreenResolution()
         const dns = store.get("dns")
+        const ip = store.get("ipConfiguration")
         const host = store.get("host")
+        const updateChannel = getUpdateChannel()
+        const clock = await getClockStatus()
+        const audio = await getAudioStatus()
+        const cec = await getCecStatus()
+        const displays = await utils.describeDisplays()
 
         return {
             screen: screenSettings,
             dns: dns,
+            ip: ip,
             host: host,
+            updateChannel: updateChannel,
+            clock: clock,
+            audio: audio,
+            cec: cec,
+            displays: displays,
         }
     },
 
     /**
-     * Extracts unique SSID names and their corresponding security information from a given input string.
+     * Parses Wi-Fi scan results into one entry per network, sorted by signal strength.
      * 
-     * This function processes the input string line by line, looking for SSID and security information. 
-     * It adds each unique SSID with its associated security information to an array of objects. Duplicate 
-     * SSIDs are ignored, ensuring that only unique SSIDs are included in the result.
+     * The input is the multiline output from `nmcli dev wifi list`, where every access point is a block of
+     * `FIELD:value` lines starting with `SSID:`. Access points with the same SSID are grouped into a single
+     * network, which gets the signal, band and channel of its strongest access point. Hidden access points
+     * without an SSID are ignored.
      * 
-     * @param {string} inputString - The input string containing SSID and security information, typically output from a Wi-Fi scan.
-     * @returns {Array<object>} An array of objects where each object represents a unique SSID and its security type:
+     * @param {string} inputString - The output of a Wi-Fi scan with the fields SSID, SECURITY, SIGNAL, FREQ, CHAN and BSSID.
+     * @param {Array<string>} [savedSSIDs=[]] - SSIDs of the networks that are already saved on the device.
+     * @returns {Array<object>} An array of networks, strongest first:
      *   - `ssid` {string}: The name of the Wi-Fi SSID.
      *   - `security` {string}: The security type of the SSID (e.g., WPA2, WEP).
+     *   - `signal` {number}: The signal strength of the strongest access point, from 0 to 100.
+     *   - `band` {string}: The band of the strongest access point ("2.4 GHz", "5 GHz" or "6 GHz").
+     *   - `channel` {number}: The channel of the strongest access point.
+     *   - `bssidCount` {number}: The number of access points broadcasting the SSID.
+     *   - `saved` {boolean}: Whether the network is already saved on the device.
      * 
      * @example
-     * const inputString = "SSID: MyNetwork\nSECURITY: WPA2\nSSID: AnotherNetwork\nSECURITY: WEP\nSSID: MyNetwork\nSECURITY: WPA2";
-     * const uniqueSSIDs = parseWiFiScanResults(inputString);
-     * console.log(uniqueSSIDs);
-     * // Output: [{ ssid: 'MyNetwork', security: 'WPA2' }, { ssid: 'AnotherNetwork', security: 'WEP' }]
+     * const inputString = "SSID:MyNetwork\nSECURITY:WPA2\nSIGNAL:40\nFREQ:2437 MHz\nCHAN:6\nBSSID:AA\\:BB\\:CC\\:DD\\:EE\\:01\n" +
+     *     "SSID:MyNetwork\nSECURITY:WPA2\nSIGNAL:72\nFREQ:5180 MHz\nCHAN:36\nBSSID:AA\\:BB\\:CC\\:DD\\:EE\\:02";
+     * const networks = parseWiFiScanResults(inputString, ["MyNetwork"]);
+     * console.log(networks);
+     * // Output: [{ ssid: 'MyNetwork', security: 'WPA2', signal: 72, band: '5 GHz', channel: 36, bssidCount: 2, saved: true }]
      */
-     parseWiFiScanResults(inputString) {
-        const lines = inputString.split("\n");
-        const uniqueSSIDs = [];
-        const uniqueSSIDNames = new Set();
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.trim().startsWith("SSID:")) {
-                const ssid = line.replace("SSID:", "").trim();
-                let securityLine;
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].trim().startsWith("SECURITY:")) {
-                        securityLine = lines[j];
-                        break;
-                    }
-                }
+    parseWiFiScanResults(inputString, savedSSIDs = []) {
+        const accessPoints = [];
+        let accessPoint = null;
+
+        inputString.split("\n").forEach((line) => {
+            const separator = line.indexOf(":");
+            if (separator === -1) return;
+
+            const field = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).replace(/\\:/g, ":").trim();
+
+            if (field === "SSID") {
+                accessPoint = { ssid: value };
+                accessPoints.push(accessPoint);
+            } else if (accessPoint) {
+                accessPoint[field.toLowerCase()] = value;
+            }
+        });
 
-                const security = securityLine ? securityLine.replace("SECURITY:", "").trim() : "";
+        const networks = new Map();
 
-                if (!uniqueSSIDNames.has(ssid) && ssid) {
-                    uniqueSSIDNames.add(ssid);
+        accessPoints.forEach((accessPoint) => {
+            if (!accessPoint.ssid) return;
 
-                    const ssidObject = {
-                        ssid: ssid,
-                        security: security,
-                    };
+            const signal = parseInt(accessPoint.signal, 10) || 0;
+            const frequency = parseInt(accessPoint.freq, 10) || 0;
+            const network = networks.get(accessPoint.ssid);
 
-                    uniqueSSIDs.push(ssidObject);
-                }
+            if (network) {
+                network.bssidCount++;
+
+                if (signal <= network.signal) return;
             }
-        }
-        return uniqueSSIDs;
+
+            networks.set(accessPoint.ssid, {
+                ssid: accessPoint.ssid,
+                security: accessPoint.security || "",
+                signal: signal,
+                band: utils.getWiFiBand(frequency),
+                channel: parseInt(accessPoint.chan, 10) || null,
+                bssidCount: network ? network.bssidCount : 1,
+                saved: savedSSIDs.includes(accessPoint.ssid),
+            });
+        });
+
+        return Array.from(networks.values()).sort((a, b) => b.signal - a.signal);
+    },
+
+    /**
+     * Returns the Wi-Fi band for a frequency.
+     * 
+     * @param {number} frequency - The frequency in MHz.
+     * @returns {string|null} "2.4 GHz", "5 GHz", "6 GHz", or `null` if the frequency is unknown.
+     */
+    getWiFiBand(frequency) {
+        if (frequency >= 5925) return "6 GHz";
+        if (frequency >= 4900) return "5 GHz";
+        if (frequency >= 2400) return "2.4 GHz";
+        return null;
     },
 });
@@ -0,0 +1,219 @@
+const { app, webFrameMain } = require("electron");
+
+const { rebootDevice } = require("./utils");
+const { logger } = require("./appsignal");
+const { store } = require("./store");
+
+const BASE_RELOAD_DELAY = 5 * 1000;
+const MAX_RELOAD_DELAY = 5 * 60 * 1000;
+const MAX_RELOAD_ATTEMPTS = 5;
+const MAX_APP_RESTARTS = 2;
+const UNRESPONSIVE_TIMEOUT = 30 * 1000;
+const CONTENT_READY_TIMEOUT = 2 * 60 * 1000;
+
+let watchedWindow = null;
+let reloadAttempts = 0;
+let reloadTimeout;
+let unresponsiveTimeout;
+let contentReadyTimeout;
+
+const watchdog = (module.exports = {
+    /**
+     * Starts watching a window for crashed, hung or blank content.
+     *
+     * Listens for renderer crashes, unresponsive renderers and failed loads in both the main frame and
+     * the content iframe. Failed loads in frames nested inside the content, like an embed that is blocked,
+     * are ignored. When the index page has loaded it also expects the content to report ready
+     * within `CONTENT_READY_TIMEOUT`, otherwise the content is treated as blank.
+     *
+     * Recovery is escalated in steps: the page is reloaded with exponential backoff, then the app is
+     * restarted, and finally the device is rebooted if the app keeps failing after restarts.
+     *
+     * @param {Electron.BrowserWindow} window - The window to watch.
+     * @returns {void}
+     */
+    watchWindow(window) {
+        watchedWindow = window;
+        const webContents = window.webContents;
+
+        webContents.on("render-process-gone", (_event, details) => {
+            watchdog.recover(`Renderer process gone: ${details.reason} (exit code ${details.exitCode})`);
+        });
+
+        webContents.on("did-fail-load", (_event, errorCode, errorDescription, validatedURL, isMainFrame, frameProcessId, frameRoutingId) => {
+            // -3 is ERR_ABORTED, which happens on normal navigations
+            if (errorCode === -3) return;
+
+            if (!isMainFrame && !watchdog.isContentFrame(webContents, frameProcessId, frameRoutingId)) return;
+
+            const frame = isMainFrame ? "main frame" : "content frame";
+            watchdog.recover(`Failed to load ${frame} ${validatedURL}: ${errorDescription} (${errorCode})`, !watchdog.isNetworkError(errorCode));
+        });
+
+        webContents.on("did-finish-load", () => {
+            watchdog.stopContentReadyTimeout();
+
+            if (webContents.getURL().includes("index/index.html")) {
+                contentReadyTimeout = setTimeout(() => {
+                    watchdog.recover("Content did not report ready in time", false);
+                }, CONTENT_READY_TIMEOUT);
+            }
+        });
+
+        window.on("unresponsive", () => {
+            logger.logError("Renderer is unresponsive", "unresponsive", "watchdog");
+
+            if (unresponsiveTimeout) return;
+
+            unresponsiveTimeout = setTimeout(() => {
+                unresponsiveTimeout = null;
+                webContents.forcefullyCrashRenderer();
+                watchdog.recover("Renderer stayed unresponsive");
+            }, UNRESPONSIVE_TIMEOUT);
+        });
+
+        window.on("responsive", () => {
+            if (unresponsiveTimeout) {
+                clearTimeout(unresponsiveTimeout);
+                unresponsiveTimeout = null;
+            }
+        });
+
+        window.on("closed", () => {
+            watchdog.stopWatching();
+        });
+    },
+
+    /**
+     * Marks the content as healthy, and resets all recovery counters.
+     *
+     * Called when the content in the iframe has confirmed that the player is ready.
+     *
+     * @returns {void}
+     */
+    markContentReady() {
+        watchdog.stopContentReadyTimeout();
+
+        if (reloadAttempts > 0 || store.get("watchdogRestarts", 0) > 0) {
+            logger.info("Content recovered", "watchdog");
+        }
+
+        reloadAttempts = 0;
+        store.set("watchdogRestarts", 0);
+    },
+
+    /**
+     * Schedules the next recovery step for a failure.
+     *
+     * Only one recovery is scheduled at a time, so a burst of failures from the same incident
+     * counts as a single attempt. Failures that restarting can not fix, like the network being down,
+     * are not escalated and keep reloading at the maximum delay instead.
+     *
+     * @param {string} reason - A description of the failure, used for logging.
+     * @param {boolean} [escalate=true] - Whether to restart the app or reboot when reloading does not help.
+     * @returns {void}
+     */
+    recover(reason, escalate = true) {
+        if (reloadTimeout || !watchedWindow) return;
+
+        watchdog.stopContentReadyTimeout();
+
+        if (escalate && reloadAttempts >= MAX_RELOAD_ATTEMPTS) {
+            watchdog.restartOrReboot(reason);
+            return;
+        }
+
+        const delay = Math.min(BASE_RELOAD_DELAY * Math.pow(2, reloadAttempts), MAX_RELOAD_DELAY);
+        reloadAttempts++;
+
+        logger.logError(`${reason}. Reloading in ${delay / 1000}s (attempt ${reloadAttempts})`, "reload", "watchdog");
+
+        reloadTimeout = setTimeout(() => {
+            reloadTimeout = null;
+
+            if (watchedWindow && !watchedWindow.isDestroyed()) {
+                watchedWindow.webContents.reload();
+            }
+        }, delay);
+    },
+
+    /**
+     * Restarts the app, or reboots the device if the app has already been restarted too many times.
+     *
+     * The number of restarts is kept in the store, so it survives the restart itself.
+     *
+     * @param {string} reason - A description of the failure, used for logging.
+     * @returns {void}
+     */
+    restartOrReboot(reason) {
+        const restarts = store.get("watchdogRestarts", 0);
+
+        if (restarts >= MAX_APP_RESTARTS) {
+            logger.logError(`${reason}. Recovery failed after ${restarts} app restarts, rebooting device`, "reboot", "watchdog");
+            store.set("watchdogRestarts", 0);
+            rebootDevice();
+            return;
+        }
+
+        logger.logError(`${reason}. Reloading did not help, restarting app (restart ${restarts + 1}/${MAX_APP_RESTARTS})`, "restart", "watchdog");
+        store.set("watchdogRestarts", restarts + 1);
+
+        app.relaunch();
+        app.exit(0);
+    },
+
+    /**
+     * Checks whether a Chromium net error code is caused by the network rather than the content.
+     *
+     * Connection errors are in the -100 range and DNS errors in the -800 range.
+     *
+     * @param {number} errorCode
+     * @returns {boolean}
+     */
+    isNetworkError(errorCode) {
+        return (errorCode <= -100 && errorCode > -200) || (errorCode <= -800 && errorCode > -900);
+    },
+
+    /**
+     * Checks whether a frame is the content iframe, i.e. a direct child of the main frame.
+     *
+     * @param {Electron.WebContents} webContents
+     * @param {number} frameProcessId
+     * @param {number} frameRoutingId
+     * @returns {boolean}
+     */
+    isContentFrame(webContents, frameProcessId, frameRoutingId) {
+        const frame = webFrameMain.fromId(frameProcessId, frameRoutingId);
+        const parent = frame && frame.parent;
+
+        return Boolean(parent && parent.processId === webContents.mainFrame.processId && parent.routingId === webContents.mainFrame.routingId);
+    },
+
+    stopContentReadyTimeout() {
+        if (contentReadyTimeout) {
+            clearTimeout(contentReadyTimeout);
+            contentReadyTimeout = null;
+        }
+    },
+
+    /**
+     * Stops all pending recovery timers.
+     *
+     * @returns {void}
+     */
+    stopWatching() {
+        watchdog.stopContentReadyTimeout();
+
+        if (reloadTimeout) {
+            clearTimeout(reloadTimeout);
+            reloadTimeout = null;
+        }
+
+        if (unresponsiveTimeout) {
+            clearTimeout(unresponsiveTimeout);
+            unresponsiveTimeout = null;
+        }
+
+        watchedWindow = null;
+    },
+});
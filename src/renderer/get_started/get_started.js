@@ -18,11 +18,24 @@ window.onload = async () => {
         }
     });
 
+    window.api.receive("connectivity_changed", (status) => {
+        resetSpinner();
+
+        if (status.state == "server-reachable") {
+            setConnected();
+        } else if (status.state == "captive-portal") {
+            setCaptivePortal();
+        } else {
+            setNotConnected();
+        }
+    });
+
     getFromStore("lang", null, async (lang) => {
         languageData = await changeLanguage(lang);
 
         setConnecting();
         window.api.send("check_server_connection");
+        window.api.send("get_connectivity_status");
 
         window.api.receive("get_bluetooth_id", (bluetooth_id) => {
             const formattedString = bluetooth_id.slice(0, 9).match(/.{1,3}/g).join('-');
@@ -30,6 +43,12 @@ window.onload = async () => {
         });
 
         window.api.send("get_bluetooth_id");
+
+        window.api.receive("provisioning_status", (status) => {
+            displayProvisioningStatus(status);
+        });
+
+        window.api.send("get_provisioning_status");
     });
 
     getFromStore("host", null, (host) => {
@@ -62,4 +81,33 @@ window.onload = async () => {
         canvas.src = data
     })
 
-};
\ No newline at end of file
+};
+
+/**
+ * Shows the progress of provisioning from player-config.json, one line per setting
+ * @param {JSONObject} status
+ */
+function displayProvisioningStatus(status) {
+    if (status.state == "idle") return;
+
+    document.body.dataset.provisioning = status.state;
+    document.getElementById("provisioning-state").innerHTML = languageData[`provisioning_${status.state}`];
+
+    const results = document.getElementById("provisioning-results");
+    results.innerHTML = "";
+
+    status.results.forEach((result) => {
+        const item = document.createElement("li");
+        item.classList.add(result.state);
+        item.textContent = result.setting;
+
+        if (result.error) {
+            const error = document.createElement("div");
+            error.classList.add("provisioning-error");
+            error.textContent = result.error;
+            item.appendChild(error);
+        }
+
+        results.appendChild(item);
+    });
+}
@@ -3,13 +3,61 @@ let webview;
 let webviewReady = false;
 let toaster;
 let toasterInterval;
+let displaySettings = {};
 
 window.onload = function () {
     myStorage = window.localStorage;
     webview = document.getElementById("iframe");
     toaster = document.getElementById("toaster");
 
-    requestHost();
+    requestDisplaySettings();
+
+    /*
+     *   Messages from main - registered once, since the content is reloaded without reloading this page
+     */
+    window.api.receive("recieve_system_stats", (data) => {
+        webview.contentWindow.postMessage({ action: "system_stats", stats: data }, "*");
+    });
+
+    window.api.receive("open_toaster", (data) => {
+        openToaster(data);
+    });
+
+    window.api.receive("network_diagnostics", (data) => {
+        webview.contentWindow.postMessage({ action: "network_diagnostics", report: data }, "*");
+    });
+
+    window.api.receive("logs", (data) => {
+        webview.contentWindow.postMessage({ action: "logs", logs: data }, "*");
+    });
+
+    window.api.receive("screenshot", (data) => {
+        webview.contentWindow.postMessage({ action: "screenshot", screenshot: data }, "*");
+    });
+
+    window.api.receive("screenshot_thumbnail", (data) => {
+        webview.contentWindow.postMessage({ action: "screenshot_thumbnail", screenshot: data }, "*");
+    });
+
+    window.api.receive("audio_status", (data) => {
+        webview.contentWindow.postMessage({ action: "audio_status", audio: data }, "*");
+    });
+
+    window.api.receive("cec_status", (data) => {
+        webview.contentWindow.postMessage({ action: "cec_status", cec: data }, "*");
+    });
+
+    window.api.receive("display_status", (data) => {
+        webview.contentWindow.postMessage({ action: "display_status", status: data }, "*");
+    });
+
+    window.api.receive("set_maintenance_window", (data) => {
+        webview.contentWindow.postMessage({ action: "set_maintenance_window", result: data }, "*");
+    });
+
+    window.api.receive("send_device_info", (data) => {
+        webview.contentWindow.postMessage({ action: "device_info", info: data }, "*");
+    });
 
     /*
      *   LOAD STOP - Called when page is finished loading
@@ -17,20 +65,12 @@ window.onload = function () {
     webview.addEventListener("load", (e) => {
         if (!webviewReady) {
             playerReadyInterval = setInterval(() => {
-                var player_ready = { action: "player_ready", player: "electron_app" };
+                var player_ready = { action: "player_ready", player: "electron_app", display: displaySettings.display, channel: displaySettings.channel };
                 webview.contentWindow.postMessage(player_ready, "*");
             }, 1000);
 
             webviewReady = true;
         }
-
-        window.api.receive("recieve_system_stats", (data) => {
-            webview.contentWindow.postMessage({ action: "system_stats", stats: data }, "*");
-        });
-
-        window.api.receive("open_toaster", (data) => {
-            openToaster(data);
-        });
     });
 
     /*
@@ -48,12 +88,25 @@ window.onload = function () {
                     clearInterval(playerReadyInterval);
                     playerReadyInterval = null;
                 }
+                sendMessageToMain("content_ready");
                 break;
             case "reboot":
                 sendMessageToMain("reboot_device");
                 break;
             case "update_app":
-                sendMessageToMain("update_app");
+                sendMessageToMain("update_app", { force: request.force });
+                break;
+            case "set_update_channel":
+                sendMessageToMain("set_update_channel", { channel: request.channel, version: request.version });
+                break;
+            case "set_management_api":
+                sendMessageToMain("set_management_api", request.settings);
+                break;
+            case "set_maintenance_window":
+                sendMessageToMain("set_maintenance_window", request.settings);
+                break;
+            case "run_maintenance":
+                sendMessageToMain("run_maintenance");
                 break;
             case "pincode":
                 // Gets pincode from butler
@@ -65,17 +118,43 @@ window.onload = function () {
             case "sleep":
                 sendMessageToMain("sleep");
                 break;
+            case "request_cec_status":
+                sendMessageToMain("get_cec_status");
+                break;
+            case "set_cec":
+                sendMessageToMain("set_cec", { enabled: request.enabled });
+                break;
+            case "set_display_schedule":
+                sendMessageToMain("set_display_schedule", request.schedule);
+                break;
             case "set_screen_resolution":
                 sendMessageToMain("set_screen_resolution", request.resolution);
                 break;
             case "set_screen_rotation":
                 sendMessageToMain("set_screen_rotation", request.rotation);
                 break;
+            case "set_display_settings":
+                // Without a display, the settings apply to the display showing this content
+                sendMessageToMain("set_display_settings", { display: request.display, settings: request.settings });
+                break;
+            case "request_audio_status":
+                sendMessageToMain("get_audio_status");
+                break;
+            case "set_volume":
+                sendMessageToMain("set_volume", request.volume);
+                break;
+            case "mute":
+                // Unmutes with { action: "mute", muted: false }
+                sendMessageToMain("mute", request.muted !== false);
+                break;
+            case "set_audio_output":
+                sendMessageToMain("set_audio_output", request.output);
+                break;
             case "factory_reset":
                 sendMessageToMain("factory_reset");
                 break;
             case "upgrade_firmware":
-                sendMessageToMain("upgrade_firmware");
+                sendMessageToMain("upgrade_firmware", { force: request.force });
                 break;
             case "current_physical_id":
                 myStorage = window.localStorage;
@@ -97,6 +176,21 @@ window.onload = function () {
             case "request_system_stats":
                 sendMessageToMain("request_system_stats", request.options);
                 break;
+            case "request_logs":
+                sendMessageToMain("request_logs", request.options);
+                break;
+            case "set_log_level":
+                sendMessageToMain("set_log_level", request.level);
+                break;
+            case "request_screenshot":
+                sendMessageToMain("request_screenshot", request.options);
+                break;
+            case "request_screenshot_thumbnails":
+                sendMessageToMain("request_screenshot_thumbnails", request.options);
+                break;
+            case "request_network_diagnostics":
+                sendMessageToMain("run_network_diagnostics");
+                break;
         }
     });
 
@@ -105,10 +199,6 @@ window.onload = function () {
     }
 
     function requestDeviceInfo() {
-        window.api.receive("send_device_info", (data) => {
-            webview.contentWindow.postMessage({ action: "device_info", info: data }, "*");
-        });
-
         sendMessageToMain("request_device_info");
     }
 
@@ -117,9 +207,18 @@ window.onload = function () {
         webview.contentWindow.postMessage({ action: "player_physical_id", physicalID: physicalID }, "*");
     }
 
+    function requestDisplaySettings() {
+        window.api.receive("display_settings", (settings) => {
+            displaySettings = settings;
+            requestHost();
+        });
+
+        sendMessageToMain("get_display_settings");
+    }
+
     function requestHost() {
         window.api.resultFromStore("host", (host) => {
-            webview.src = "https://" + host + "/live/";
+            webview.src = displaySettings.url || "https://" + host + "/live/";
             myStorage.setItem("host", host);
 
             sendMessageToMain("remove_mouse");
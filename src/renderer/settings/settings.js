@@ -10,6 +10,8 @@ var passwordField;
 var errorMessage;
 var hostAddress;
 var hiddenSSID = false;
+var eapMethodField;
+var hiddenSecurityField;
 var ssidField;
 var myStorage;
 var hostName;
@@ -31,6 +33,8 @@ window.onload = async () => {
     passwordField = document.getElementById("password");
     hostName = document.getElementById("host-name");
     ssidField = document.getElementById("network");
+    eapMethodField = document.getElementById("eap-method");
+    hiddenSecurityField = document.getElementById("hidden-security");
     spinner = document.querySelector(".spinner");
     canvas = document.getElementById("canvas");
     dns = document.getElementById("dns");
@@ -42,6 +46,9 @@ window.onload = async () => {
         languageData = await changeLanguage(lang);
 
         checkServerConnection();
+        window.api.send("get_saved_networks");
+        window.api.send("get_display_schedule");
+        window.api.send("get_clock_status");
 
         const dnsAddress = myStorage.getItem("dns");
         if (dnsAddress) {
@@ -56,6 +63,26 @@ window.onload = async () => {
         hostAddress.value = host;
     })
 
+    window.api.receive("network_diagnostics", (data) => {
+        displayNetworkDiagnostics(data);
+    });
+
+    window.api.receive("saved_networks", (data) => {
+        displaySavedNetworks(data);
+    });
+
+    window.api.receive("display_schedule", (data) => {
+        displayDisplaySchedule(data);
+    });
+
+    window.api.receive("clock_status", (data) => {
+        displayClockStatus(data);
+    });
+
+    window.api.receive("export_logs", (data) => {
+        downloadFile(data, `player-logs-${new Date().toISOString().slice(0, 10)}.log`);
+    });
+
     window.api.receive("list_of_networks", (data) => {
         displayListOfNetworks(data);
     });
@@ -65,6 +92,22 @@ window.onload = async () => {
         setConnecting();
     });
 
+    window.api.receive("connectivity_changed", (status) => {
+        /* The result of an ongoing connection attempt or DNS change is reported separately */
+        if (isConnecting || isRegistringDns) return;
+
+        resetSpinner();
+        window.document.body.dataset.captivePortal = status.state == "captive-portal";
+
+        if (status.state == "server-reachable") {
+            setConnected();
+        } else if (status.state == "captive-portal") {
+            setCaptivePortal();
+        } else {
+            setNotConnected();
+        }
+    });
+
     window.api.receive("dns_registred", (data) => {
         isRegistringDns = false
 
@@ -90,10 +133,41 @@ window.onload = async () => {
     });
     window.api.getFromStore("devMode");
 
+    window.api.receive("management_api", (data) => {
+        displayManagementApi(data);
+    });
+    window.api.send("get_management_api");
+
     sendRecieveToMain("create_qr_code", { lightColor: "#000000", darkColor: "#828282" }, (data) => {
         canvas.src = data;
     })
 
+    sendRecieveToMain("get_ip_configuration", null, (data) => {
+        if (data) displayIpConfiguration(data);
+    })
+
+    getFromStore("proxy", null, (proxy) => {
+        if (proxy) displayProxySettings(proxy);
+    })
+
+    window.api.receive("set_proxy", (data) => {
+        errorMessage.innerHTML = data.success ? "" : data.error;
+    });
+
+    window.api.receive("set_ip_configuration", (data) => {
+        resetSpinner();
+        isConnecting = false;
+
+        if (data.success) {
+            setStatusMessage(languageData["ip_settings_saved"]);
+            spinner.classList.add("success");
+        } else {
+            setStatusMessage(data.reverted ? languageData["ip_settings_reverted"] : languageData["ip_settings_error"]);
+            spinner.classList.add("error");
+            errorMessage.innerHTML = data.error || "";
+        }
+    });
+
     sendRecieveToMain("get_screen_resolutions", {}, (data) => {
         if (data) {
             data.list.forEach((res) => {
@@ -117,6 +191,10 @@ window.onload = async () => {
         resetSpinner();
         isConnecting = false;
 
+        window.api.send("get_saved_networks");
+
+        window.document.body.dataset.captivePortal = data.reason == "captive_portal";
+
         if (data.success && data.stdout.toString() == "1") {
             setConnected();
             window.document.body.dataset.showNetworkSettings = false;
@@ -127,9 +205,7 @@ window.onload = async () => {
             window.document.body.dataset.showNetworkSettings = true;
             window.api.send("search_after_networks");
 
-            if (isWrongPassword(data)) {
-                errorMessage.innerHTML = languageData["wrong_password"];
-            }
+            errorMessage.innerHTML = getConnectionErrorMessage(data);
         }
     });
 
@@ -143,8 +219,24 @@ function setButtonEvents() {
     const screenResolutionButton = document.getElementById("set-screen-resolution");
     const dnsButton = document.getElementById("register-dns");
     const connectHostButton = document.getElementById("connect-to-host");
+    const managementApiButton = document.getElementById("toggle-management-api");
     const toggleButton = document.getElementById("toggleButton");
     const hiddenNetworkButton = document.getElementById("hidden-network-button");
+    const saveIpSettingsButton = document.getElementById("save-ip-settings");
+    const saveWiredSettingsButton = document.getElementById("save-wired-settings");
+    const wiredEapMethodField = document.getElementById("wired-eap-method");
+    const saveProxyButton = document.getElementById("save-proxy");
+    const runDiagnosticsButton = document.getElementById("run-diagnostics");
+    const downloadLogsButton = document.getElementById("download-logs");
+    const proxyModeField = document.getElementById("proxy-mode");
+    const ipSettings = document.getElementById("ip-settings");
+    const captivePortalButton = document.getElementById("open-captive-portal");
+    const timezoneButton = document.getElementById("set-timezone");
+    const ntpServerButton = document.getElementById("set-ntp-server");
+
+    captivePortalButton.addEventListener("click", () => {
+        window.api.send("open_captive_portal");
+    });
 
     connectAnotherButton.addEventListener("click", () => {
         window.document.body.dataset.showNetworkSettings = true;
@@ -168,13 +260,49 @@ function setButtonEvents() {
             el.dataset.hiddenSsid = "1";
             hiddenSSID = 1;
         }
+        updateEnterpriseSettings();
     });
 
+    ssidField.addEventListener("change", () => updateEnterpriseSettings());
+    eapMethodField.addEventListener("change", () => updateEnterpriseSettings());
+    hiddenSecurityField.addEventListener("change", () => updateEnterpriseSettings());
+
     toggleButton.addEventListener("click", () => passwordField.type === "password" ? (passwordField.type = "text") : (passwordField.type = "password"));
     letsGoButton.addEventListener("click", () => window.api.send("go_to_screen"));
     connectButton.addEventListener("click", () => connectToNetwork());
     dnsButton.addEventListener("click", () => registerDNS());
+    saveIpSettingsButton.addEventListener("click", () => saveIpConfiguration());
+    saveWiredSettingsButton.addEventListener("click", () => saveWiredSettings());
+    wiredEapMethodField.addEventListener("change", () => (document.getElementById("wired-settings").dataset.eapMethod = wiredEapMethodField.value));
+    saveProxyButton.addEventListener("click", () => saveProxySettings());
+    runDiagnosticsButton.addEventListener("click", () => {
+        runDiagnosticsButton.dataset.status = "pending";
+        window.api.send("run_network_diagnostics");
+    });
+    proxyModeField.addEventListener("change", () => (document.getElementById("proxy-settings").dataset.proxyMode = proxyModeField.value));
+    ["ipv4", "ipv6"].forEach((family) => {
+        document.getElementById(`${family}-method`).addEventListener("change", (e) => (ipSettings.dataset[`${family}Method`] = e.target.value));
+    });
     connectHostButton.addEventListener("click", () => connectToHost());
+
+    downloadLogsButton.addEventListener("click", () => {
+        window.api.send("export_logs");
+    });
+
+    timezoneButton.addEventListener("click", () => {
+        window.api.send("set_timezone", document.getElementById("timezone").value);
+    });
+
+    ntpServerButton.addEventListener("click", () => {
+        window.api.send("set_ntp_server", document.getElementById("ntp-server").value.trim());
+    });
+
+    managementApiButton.addEventListener("click", () => {
+        const enabled = document.getElementById("management-api").dataset.enabled != "true";
+        const port = document.getElementById("management-api-port").value;
+
+        window.api.send("set_management_api", { enabled: enabled, port: port || 8080 });
+    });
     screenResolutionButton.addEventListener("click", () => setScreenResolution());
     [...rotationButtons].forEach((button) => button.addEventListener("click", changeRotation));
 }
@@ -196,20 +324,24 @@ function connectToNetwork() {
     }
 
     const passwordstring = passwordField.value;
-    const security = ssidField.options[ssidField.selectedIndex].dataset.security;
+    const security = getSelectedSecurity();
+    const isOpen = !security || security == "--" || security.includes("OWE");
 
     resetSpinner();
 
-    if (security.includes("WPA") && passwordstring) {
+    if (security.includes("802.1X")) {
+        /* Case 0: Enterprise network, the password is the password for the identity */
+        connectToEnterpriseNetwork(ssid, passwordstring, security, options);
+    } else if (!isOpen && passwordstring) {
         /* Case 1: Password field is filled, network network requires it and we try to connect */
         window.api.send("connect_to_network", { ssid: ssid, password: passwordstring, security: security, options: options });
-    } else if (security.includes("WPA") && !passwordstring) {
+    } else if (!isOpen && !passwordstring) {
         /* Case 2: Password field is empty and network requires it */
         isConnecting = false;
         errorMessage.innerHTML = languageData["require_password"];
-    } else if (!security) {
+    } else if (ssid) {
         /* Case 3: Network has no security */
-        window.api.send("connect_to_network", { ssid: ssid });
+        window.api.send("connect_to_network", { ssid: ssid, security: security, options: options });
     } else {
         /* Case 4: Something wrong happened.. */
         isConnecting = false;
@@ -217,6 +349,62 @@ function connectToNetwork() {
     }
 }
 
+/*
+ * Returns the security of the selected network, or the security chosen for a hidden network
+ * @returns {String}
+ */
+function getSelectedSecurity() {
+    if (hiddenSSID) {
+        return hiddenSecurityField.value;
+    }
+
+    const selected = ssidField.options[ssidField.selectedIndex];
+    return selected ? selected.dataset.security : "";
+}
+
+async function connectToEnterpriseNetwork(ssid, password, security, options) {
+    const enterprise = {
+        eap: eapMethodField.value,
+        identity: document.getElementById("identity").value,
+        anonymousIdentity: document.getElementById("anonymous-identity").value,
+        password: password,
+        caCert: await readFileField("ca-cert"),
+        clientCert: await readFileField("client-cert"),
+        privateKey: await readFileField("private-key"),
+    };
+
+    if (!enterprise.identity) {
+        isConnecting = false;
+        errorMessage.innerHTML = languageData["require_identity"];
+        return;
+    }
+
+    if (enterprise.eap != "tls" && !password) {
+        isConnecting = false;
+        errorMessage.innerHTML = languageData["require_password"];
+        return;
+    }
+
+    window.api.send("connect_to_network", { ssid: ssid, security: security, enterprise: enterprise, options: options });
+}
+
+/*
+ * Reads the content of the file selected in a file input, or null if no file is selected
+ * @param {String} id
+ * @returns {Promise<String|null>}
+ */
+function readFileField(id) {
+    const file = document.getElementById(id).files[0];
+    return file ? file.text() : Promise.resolve(null);
+}
+
+function updateEnterpriseSettings() {
+    const el = document.querySelector(".network-settings");
+
+    el.dataset.enterprise = getSelectedSecurity().includes("802.1X") ? "1" : "0";
+    el.dataset.eapMethod = eapMethodField.value;
+}
+
 function checkServerConnection() {
     setConnecting();
     window.api.send("check_server_connection");
@@ -242,11 +430,118 @@ function displayListOfNetworks(data) {
 
     data.forEach((network) => {
         const option = document.createElement("option");
-        option.textContent = `${network.ssid} - ${network.security}`;
+        const details = [network.security, network.band, network.saved ? languageData["saved"] : null].filter(Boolean).join(" · ");
+        option.textContent = `${getSignalBars(network.signal)}  ${network.ssid} - ${details}`;
         option.value = network.ssid;
         option.dataset.security = network.security;
         select.appendChild(option);
     });
+
+    updateEnterpriseSettings();
+}
+
+/*
+ * Returns signal bars for a signal strength from 0 to 100, e.g. "▂▄▆▁" for three out of four bars
+ * @param {Number} signal
+ * @returns {String}
+ */
+function getSignalBars(signal) {
+    const bars = signal >= 75 ? 4 : signal >= 50 ? 3 : signal >= 25 ? 2 : 1;
+    return ["▂", "▄", "▆", "█"].map((bar, i) => (i < bars ? bar : "▁")).join("");
+}
+
+function displayNetworkDiagnostics(report) {
+    const list = document.getElementById("diagnostics-report");
+    document.getElementById("run-diagnostics").dataset.status = null;
+    list.innerHTML = "";
+
+    report.steps.forEach((step) => {
+        const item = document.createElement("li");
+        item.classList.toggle("failed", !step.passed);
+        item.textContent = `${step.name.toUpperCase()}: ${step.message}`;
+        list.appendChild(item);
+    });
+}
+
+function displaySavedNetworks(data) {
+    const container = document.getElementById("saved-networks");
+    const list = document.getElementById("saved-networks-list");
+    const ssids = data.map((network) => network.ssid);
+
+    list.innerHTML = "";
+    container.dataset.count = data.length;
+
+    data.forEach((network, index) => {
+        const item = document.createElement("li");
+        const name = document.createElement("span");
+        const upButton = document.createElement("button");
+        const downButton = document.createElement("button");
+        const forgetButton = document.createElement("button");
+
+        item.classList.toggle("active", network.active);
+        name.textContent = network.active ? `${network.ssid} (${languageData["connected"]})` : network.ssid;
+
+        upButton.textContent = "↑";
+        upButton.disabled = index == 0;
+        upButton.addEventListener("click", () => window.api.send("set_network_priorities", moveItem(ssids, index, index - 1)));
+
+        downButton.textContent = "↓";
+        downButton.disabled = index == data.length - 1;
+        downButton.addEventListener("click", () => window.api.send("set_network_priorities", moveItem(ssids, index, index + 1)));
+
+        forgetButton.textContent = languageData["forget"];
+        forgetButton.addEventListener("click", () => window.api.send("forget_network", network.ssid));
+
+        item.append(name, upButton, downButton, forgetButton);
+        list.appendChild(item);
+    });
+}
+
+function displayDisplaySchedule(data) {
+    const container = document.getElementById("display-schedule");
+    const weekly = document.getElementById("display-schedule-weekly");
+    const exceptions = document.getElementById("display-schedule-exceptions");
+    const status = document.getElementById("display-schedule-status");
+    const days = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+    const formatPeriods = (periods) => (periods.length ? periods.map((period) => `${period.on}–${period.off}`).join(", ") : languageData["display_off"]);
+
+    container.dataset.enabled = data.enabled;
+    weekly.innerHTML = "";
+    exceptions.innerHTML = "";
+
+    days.forEach((day) => {
+        const item = document.createElement("li");
+        item.innerHTML = `<span>${languageData[day]}</span><span>${formatPeriods(data.weekly[day] || [])}</span>`;
+        weekly.appendChild(item);
+    });
+
+    data.exceptions.forEach((exception) => {
+        const item = document.createElement("li");
+        item.innerHTML = `<span>${exception.date}</span><span>${formatPeriods(exception.periods || [])}</span>`;
+        exceptions.appendChild(item);
+    });
+
+    const nextBoundary = data.nextBoundary ? new Date(data.nextBoundary).toLocaleString() : "–";
+
+    if (data.override) {
+        status.innerHTML = `${languageData[data.override.on ? "display_on_override" : "display_off_override"]} ${nextBoundary}`;
+    } else {
+        status.innerHTML = `${languageData["next_schedule_change"]} ${nextBoundary}`;
+    }
+}
+
+function downloadFile(content, fileName) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([content], { type: "text/plain" }));
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function moveItem(list, from, to) {
+    const result = list.slice();
+    result.splice(to, 0, result.splice(from, 1)[0]);
+    return result;
 }
 
 function registerDNS() {
@@ -259,6 +554,150 @@ function registerDNS() {
     window.api.send("connect_to_dns", name);
 }
 
+function displayIpConfiguration(data) {
+    const ipSettings = document.getElementById("ip-settings");
+    const [ipv4Address, ipv4Prefix] = (data.ipv4.addresses[0] || "").split("/");
+
+    document.getElementById("ipv4-method").value = data.ipv4.method == "manual" ? "manual" : "auto";
+    document.getElementById("ipv4-address").value = ipv4Address;
+    document.getElementById("ipv4-netmask").value = ipv4Prefix ? prefixToNetmask(ipv4Prefix) : "";
+    document.getElementById("ipv4-gateway").value = data.ipv4.gateway || "";
+    document.getElementById("ipv6-method").value = ["manual", "ignore"].includes(data.ipv6.method) ? data.ipv6.method : "auto";
+    document.getElementById("ipv6-address").value = data.ipv6.addresses[0] || "";
+    document.getElementById("ipv6-gateway").value = data.ipv6.gateway || "";
+    document.getElementById("ip-dns").value = data.ipv4.dns.concat(data.ipv6.dns).join(", ");
+
+    ipSettings.dataset.ipv4Method = document.getElementById("ipv4-method").value;
+    ipSettings.dataset.ipv6Method = document.getElementById("ipv6-method").value;
+}
+
+function saveIpConfiguration() {
+    if (isConnecting) return;
+
+    const dnsServers = document.getElementById("ip-dns").value.split(/[\s,]+/).filter(Boolean);
+
+    isConnecting = true;
+    errorMessage.innerHTML = null;
+    resetSpinner();
+    setConnecting();
+
+    window.api.send("set_ip_configuration", {
+        ipv4: {
+            method: document.getElementById("ipv4-method").value,
+            address: document.getElementById("ipv4-address").value,
+            netmask: document.getElementById("ipv4-netmask").value,
+            gateway: document.getElementById("ipv4-gateway").value,
+            dns: dnsServers.filter((server) => !server.includes(":")),
+        },
+        ipv6: {
+            method: document.getElementById("ipv6-method").value,
+            address: document.getElementById("ipv6-address").value,
+            gateway: document.getElementById("ipv6-gateway").value,
+            dns: dnsServers.filter((server) => server.includes(":")),
+        },
+    });
+}
+
+/*
+ * Configures 802.1X on the wired connection, or removes it when the EAP method is off
+ */
+async function saveWiredSettings() {
+    if (isConnecting) return;
+
+    const eap = document.getElementById("wired-eap-method").value;
+    const enterprise = eap
+        ? {
+              eap: eap,
+              identity: document.getElementById("wired-identity").value,
+              anonymousIdentity: document.getElementById("wired-anonymous-identity").value,
+              password: document.getElementById("wired-password").value,
+              caCert: await readFileField("wired-ca-cert"),
+              clientCert: await readFileField("wired-client-cert"),
+              privateKey: await readFileField("wired-private-key"),
+          }
+        : null;
+
+    if (enterprise && !enterprise.identity) {
+        errorMessage.innerHTML = languageData["require_identity"];
+        return;
+    }
+
+    if (enterprise && enterprise.eap != "tls" && !enterprise.password) {
+        errorMessage.innerHTML = languageData["require_password"];
+        return;
+    }
+
+    isConnecting = true;
+    errorMessage.innerHTML = null;
+    resetSpinner();
+    setConnecting();
+
+    window.api.send("configure_wired_enterprise", enterprise);
+}
+
+function displayProxySettings(proxy) {
+    document.getElementById("proxy-mode").value = proxy.mode;
+    document.getElementById("proxy-url").value = proxy.url || "";
+    document.getElementById("proxy-bypass").value = proxy.bypass || "";
+    document.getElementById("proxy-pac-url").value = proxy.pacUrl || "";
+    document.getElementById("proxy-username").value = proxy.username || "";
+    document.getElementById("proxy-password").value = proxy.password || "";
+    document.getElementById("proxy-settings").dataset.proxyMode = proxy.mode;
+}
+
+function saveProxySettings() {
+    errorMessage.innerHTML = null;
+
+    window.api.send("set_proxy", {
+        mode: document.getElementById("proxy-mode").value,
+        url: document.getElementById("proxy-url").value,
+        bypass: document.getElementById("proxy-bypass").value,
+        pacUrl: document.getElementById("proxy-pac-url").value,
+        username: document.getElementById("proxy-username").value,
+        password: document.getElementById("proxy-password").value,
+    });
+}
+
+function prefixToNetmask(prefix) {
+    const mask = prefix == 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+    return [24, 16, 8, 0].map((shift) => (mask >>> shift) & 255).join(".");
+}
+
+function displayClockStatus(data) {
+    const timezoneField = document.getElementById("timezone");
+
+    if (timezoneField.options.length == 0) {
+        ["UTC", ...Intl.supportedValuesOf("timeZone")].forEach((timezone) => {
+            const option = document.createElement("option");
+            option.textContent = timezone;
+            option.value = timezone;
+            timezoneField.appendChild(option);
+        });
+    }
+
+    timezoneField.value = data.timezone;
+    document.getElementById("ntp-server").value = data.ntpServer || "";
+    document.getElementById("clock-settings").dataset.healthy = data.healthy;
+
+    const status = [
+        new Date(data.time).toLocaleString(),
+        data.ntpSynchronized ? languageData["ntp_synchronized"] : languageData["ntp_not_synchronized"],
+        data.skew === null ? null : `${languageData["clock_skew"]} ${data.skew} s`,
+    ];
+
+    document.getElementById("clock-status").textContent = data.error || status.filter(Boolean).join(" · ");
+}
+
+function displayManagementApi(data) {
+    const container = document.getElementById("management-api");
+    const token = document.getElementById("management-api-token");
+
+    container.dataset.enabled = data.enabled;
+    document.getElementById("management-api-port").value = data.port;
+    document.getElementById("toggle-management-api").textContent = data.enabled ? "Disable" : "Enable";
+    token.textContent = data.error || (data.enabled ? `Token: ${data.token}` : "");
+}
+
 function connectToHost() {
     const name = hostAddress.value;
     setHost(name);
@@ -269,6 +708,30 @@ function setScreenResolution() {
     window.api.send("set_screen_resolution", res);
 }
 
+/*
+ * Returns the error message for a failed connection, based on the reason reported by the main process
+ * @param {JSONObject} data
+ * @returns {String}
+ */
+function getConnectionErrorMessage(data) {
+    if (isWrongPassword(data)) return languageData["wrong_password"];
+
+    switch (data.reason) {
+        case "network_not_found":
+            return languageData["network_not_found"];
+        case "timeout":
+            return languageData["connection_timeout"];
+        case "no_dhcp_lease":
+            return languageData["no_dhcp_lease"];
+        case "server_unreachable":
+            return languageData["server_unreachable"];
+        case "captive_portal":
+            return languageData["captive_portal_description"];
+        default:
+            return "";
+    }
+}
+
 function isWrongPassword(data) {
     if (data.type == "802-11-wireless-security.psk" || (data.error && data.error.toString().includes("802-11-wireless-security.psk"))) return true;
     return false;
@@ -12,6 +12,11 @@ function setConnecting() {
     spinner.classList.add("spin");
 }
 
+function setCaptivePortal() {
+    setStatusMessage(languageData["captive_portal"]);
+    spinner.classList.add("error");
+}
+
 function setNotConnected() {
     setStatusMessage(languageData["not_connected"]);
     spinner.classList.add("error");
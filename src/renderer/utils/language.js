@@ -8,6 +8,11 @@ function updateContent(langData) {
         const key = element.getAttribute("data-i18n-src");
         element.src = langData[key];
     });
+
+    document.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+        const key = element.getAttribute("data-i18n-placeholder");
+        element.placeholder = langData[key];
+    });
 }
 
 function setLanguagePreference(lang) {
@@ -0,0 +1,74 @@
+const { app } = require("./helpers/electron");
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const fs = require("fs");
+
+const commandLog = path.join(app.getPath("userData"), "cec-commands.log");
+
+process.env.CEC_CLIENT = path.join(__dirname, "../scripts/fake-cec-client");
+process.env.FAKE_CEC_LOG = commandLog;
+
+const Cec = require("../src/main/cec");
+
+function sentCommands() {
+    return fs.readFileSync(commandLog, "utf8").split("\n").filter(Boolean);
+}
+
+describe("cec", () => {
+    beforeEach(() => {
+        fs.writeFileSync(commandLog, "");
+        process.env.FAKE_CEC_POWER = "standby";
+        delete process.env.FAKE_CEC_NO_ADAPTER;
+        Cec.setCecEnabled(true);
+    });
+
+    it("puts the TV in standby", async () => {
+        const result = await Cec.standby();
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(sentCommands(), ["standby 0"]);
+    });
+
+    it("turns the TV on and switches it to the player", async () => {
+        const result = await Cec.powerOn();
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(sentCommands(), ["on 0", "as"]);
+    });
+
+    it("reads the power status of the TV", async () => {
+        process.env.FAKE_CEC_POWER = "on";
+
+        assert.strictEqual(await Cec.getPowerStatus(), "on");
+        assert.deepStrictEqual(sentCommands(), ["pow 0"]);
+        assert.strictEqual(Cec.describeCec(), "on");
+    });
+
+    it("reports a missing adapter", async () => {
+        process.env.FAKE_CEC_NO_ADAPTER = "1";
+
+        const result = await Cec.standby();
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.error, "No CEC adapter found");
+        assert.strictEqual(await Cec.getPowerStatus(), null);
+    });
+
+    it("sends nothing when CEC is disabled", async () => {
+        Cec.setCecEnabled("false");
+
+        const result = await Cec.standby();
+
+        assert.strictEqual(result.success, false);
+        assert.deepStrictEqual(sentCommands(), []);
+        assert.deepStrictEqual(await Cec.getCecStatus(), { enabled: false, available: false, power: null });
+    });
+
+    it("refuses a value that is not a boolean", () => {
+        const result = Cec.setCecEnabled(undefined);
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(Cec.isCecEnabled(), true);
+    });
+});
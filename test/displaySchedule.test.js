@@ -0,0 +1,87 @@
+require("./helpers/electron");
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+
+const DisplaySchedule = require("../src/main/displaySchedule");
+const { store } = require("../src/main/store");
+
+/* 19 October 2026 is a Monday */
+const SCHEDULE = {
+    enabled: true,
+    weekly: {
+        monday: [
+            { on: "07:00", off: "12:00" },
+            { on: "13:00", off: "24:00" },
+        ],
+        tuesday: [{ on: "07:00", off: "19:00" }],
+    },
+    exceptions: [{ date: "2026-10-20", periods: [] }],
+};
+
+describe("validateDisplaySchedule", () => {
+    const validate = (schedule) => DisplaySchedule.validateDisplaySchedule(schedule);
+
+    it("accepts a valid schedule", () => {
+        assert.strictEqual(validate(SCHEDULE), null);
+        assert.strictEqual(validate({ weekly: {} }), null);
+    });
+
+    it("requires a weekly schedule", () => {
+        assert.strictEqual(validate(null), "The schedule must contain a weekly schedule");
+        assert.strictEqual(validate({ weekly: null }), "The schedule must contain a weekly schedule");
+    });
+
+    it("refuses unknown days and days that are not lists", () => {
+        assert.match(validate({ weekly: { funday: [] } }), /^Invalid day: funday/);
+        assert.strictEqual(validate({ weekly: { monday: { on: "07:00", off: "19:00" } } }), "The periods of monday must be a list");
+    });
+
+    it("refuses periods that are not HH:MM, or that end before they start", () => {
+        for (const period of [null, "07:00-19:00", { on: "7:00", off: "19:00" }, { on: "07:00", off: "24:30" }, { on: "19:00", off: "07:00" }, { on: "07:00", off: "07:00" }]) {
+            assert.match(validate({ weekly: { monday: [period] } }), /^Invalid period/, JSON.stringify(period));
+        }
+    });
+
+    it("refuses invalid exceptions", () => {
+        assert.strictEqual(validate({ weekly: {}, exceptions: {} }), "Exceptions must be a list");
+        assert.match(validate({ weekly: {}, exceptions: [null] }), /^Invalid exception: null/);
+        assert.strictEqual(validate({ weekly: {}, exceptions: [{ date: "24.12.2026" }] }), "Invalid exception date: 24.12.2026");
+        assert.strictEqual(validate({ weekly: {}, exceptions: [{ date: "2026-12-24", periods: "closed" }] }), "The periods of 2026-12-24 must be a list");
+        assert.match(validate({ weekly: {}, exceptions: [{ date: "2026-12-24", periods: [{ on: "10:00", off: "09:00" }] }] }), /^Invalid period/);
+    });
+});
+
+describe("display schedule periods", () => {
+    before(() => {
+        store.set("displaySchedule", SCHEDULE);
+    });
+
+    it("returns the weekly periods of a day", () => {
+        assert.deepStrictEqual(DisplaySchedule.getPeriodsForDate(SCHEDULE, new Date(2026, 9, 19)), SCHEDULE.weekly.monday);
+        assert.deepStrictEqual(DisplaySchedule.getPeriodsForDate(SCHEDULE, new Date(2026, 9, 21)), []);
+    });
+
+    it("lets an exception replace the weekly periods", () => {
+        assert.deepStrictEqual(DisplaySchedule.getPeriodsForDate(SCHEDULE, new Date(2026, 9, 20)), []);
+        assert.deepStrictEqual(DisplaySchedule.getPeriodsForDate(SCHEDULE, new Date(2026, 9, 27)), SCHEDULE.weekly.tuesday);
+    });
+
+    it("turns the display on from the start of a period until its end", () => {
+        assert.strictEqual(DisplaySchedule.isScheduledOn(new Date(2026, 9, 19, 6, 59)), false);
+        assert.strictEqual(DisplaySchedule.isScheduledOn(new Date(2026, 9, 19, 7, 0)), true);
+        assert.strictEqual(DisplaySchedule.isScheduledOn(new Date(2026, 9, 19, 12, 0)), false);
+        assert.strictEqual(DisplaySchedule.isScheduledOn(new Date(2026, 9, 19, 23, 59)), true);
+        assert.strictEqual(DisplaySchedule.isScheduledOn(new Date(2026, 9, 20, 10, 0)), false);
+    });
+
+    it("finds the next time the display is switched", () => {
+        assert.deepStrictEqual(DisplaySchedule.getNextBoundary(new Date(2026, 9, 19, 8, 0)), new Date(2026, 9, 19, 12, 0));
+        assert.deepStrictEqual(DisplaySchedule.getNextBoundary(new Date(2026, 9, 19, 12, 30)), new Date(2026, 9, 19, 13, 0));
+    });
+
+    it("skips the periods an exception removes", () => {
+        /* "24:00" on Monday ends at midnight, and Tuesday is closed, so the display stays off until the next Monday */
+        assert.deepStrictEqual(DisplaySchedule.getNextBoundary(new Date(2026, 9, 19, 14, 0)), new Date(2026, 9, 20, 0, 0));
+        assert.deepStrictEqual(DisplaySchedule.getNextBoundary(new Date(2026, 9, 20, 0, 0)), new Date(2026, 9, 26, 7, 0));
+    });
+});
@@ -0,0 +1,111 @@
+const { app, ipcMain } = require("./helpers/electron");
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+
+const errorQueue = require("../src/main/errorQueue");
+
+const BASE_FLUSH_DELAY = 30 * 1000;
+
+/* Lets the flush that a timer or event started run to the end */
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+function setConnectivity(state) {
+    ipcMain.emit("connectivity_changed", null, { state: state, connectionType: "wifi" });
+}
+
+describe("error queue", () => {
+    const sender = mock.fn(async () => {
+        throw new Error("HTTP 503");
+    });
+
+    before(() => {
+        mock.timers.enable({ apis: ["setTimeout"] });
+        mock.method(console, "error", () => {});
+        errorQueue.setErrorSender(sender);
+    });
+
+    after(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it("keeps reports while offline", async () => {
+        errorQueue.enqueueError({ error: new Error("No route to host"), action: "checkConnection", namespace: "network" });
+        errorQueue.enqueueError({ error: new Error("No route to host"), action: "checkConnection", namespace: "network" });
+        mock.timers.tick(0);
+        await settle();
+
+        const entries = errorQueue.readQueue();
+
+        assert.strictEqual(sender.mock.callCount(), 0);
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].count, 2);
+        assert.strictEqual(entries[0].tags.connectivity, "unknown");
+    });
+
+    it("sends reports when the device comes online, and keeps them if that fails", async () => {
+        setConnectivity("internet");
+        await settle();
+
+        const [error, span] = sender.mock.calls[0].arguments;
+
+        assert.strictEqual(sender.mock.callCount(), 1);
+        assert.strictEqual(error.message, "No route to host");
+        assert.strictEqual(span.action, "checkConnection");
+        assert.strictEqual(span.tags.count, "2");
+        assert.strictEqual(errorQueue.readQueue().length, 1);
+    });
+
+    it("doubles the delay after every failed attempt", async () => {
+        mock.timers.tick(2 * BASE_FLUSH_DELAY - 1);
+        await settle();
+        assert.strictEqual(sender.mock.callCount(), 1);
+
+        mock.timers.tick(1);
+        await settle();
+        assert.strictEqual(sender.mock.callCount(), 2);
+
+        mock.timers.tick(4 * BASE_FLUSH_DELAY - 1);
+        await settle();
+        assert.strictEqual(sender.mock.callCount(), 2);
+
+        mock.timers.tick(1);
+        await settle();
+        assert.strictEqual(sender.mock.callCount(), 3);
+        assert.strictEqual(errorQueue.readQueue().length, 1);
+    });
+
+    it("writes the queue to disk", () => {
+        app.emit("will-quit");
+
+        const saved = JSON.parse(fs.readFileSync(errorQueue.getQueueFile(), "utf8"));
+
+        assert.deepStrictEqual(saved.map((entry) => entry.message), ["No route to host"]);
+    });
+
+    it("removes reports once they are sent", async () => {
+        sender.mock.mockImplementation(async () => {});
+
+        mock.timers.tick(8 * BASE_FLUSH_DELAY);
+        await settle();
+
+        assert.strictEqual(sender.mock.callCount(), 4);
+        assert.deepStrictEqual(errorQueue.readQueue(), []);
+    });
+
+    it("sends new reports right away while online", async () => {
+        errorQueue.enqueueError({ error: "Screen capture failed", action: "captureScreenshot", namespace: "screenshot", tags: { display: "1" } });
+        mock.timers.tick(0);
+        await settle();
+
+        const [error, span] = sender.mock.calls[4].arguments;
+
+        assert.strictEqual(error.message, "Screen capture failed");
+        assert.strictEqual(span.tags.display, "1");
+        assert.strictEqual(span.tags.connectivity, "internet");
+        assert.deepStrictEqual(errorQueue.readQueue(), []);
+    });
+});
@@ -0,0 +1,37 @@
+/*
+ * Stands in for the `electron` module, so modules of the main process can be required by `node --test`.
+ *
+ * Require it before the module under test. Settings and logs are written to a temporary app data directory,
+ * which is removed when the test process exits.
+ */
+const Module = require("module");
+const { EventEmitter } = require("events");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+const pjson = require("../../package.json");
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), "pintomind-test-"));
+
+const app = Object.assign(new EventEmitter(), {
+    getPath: () => userData,
+    getVersion: () => pjson.version,
+    getName: () => pjson.name,
+});
+
+const electron = {
+    app: app,
+    ipcMain: new EventEmitter(),
+    net: { fetch: (...args) => fetch(...args) },
+};
+
+const load = Module._load;
+
+Module._load = function (request, ...args) {
+    return request === "electron" ? electron : load.call(this, request, ...args);
+};
+
+process.on("exit", () => fs.rmSync(userData, { recursive: true, force: true }));
+
+module.exports = electron;
@@ -0,0 +1,175 @@
+const { app } = require("./helpers/electron");
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const net = require("net");
+
+const managementApi = require("../src/main/managementApi");
+const NetworkManager = require("../src/main/networkManager");
+
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+let port;
+
+function getFreePort() {
+    return new Promise((resolve) => {
+        const server = net.createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/* Without an agent, so no connection is kept open after the tests */
+function request(method, path, { body, token = TOKEN } = {}) {
+    return new Promise((resolve, reject) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        const req = http.request({ host: "localhost", port: port, method: method, path: path, headers: headers, agent: false }, (response) => {
+            let data = "";
+
+            response.on("data", (chunk) => (data += chunk));
+            response.on("end", () => resolve({ status: response.statusCode, data: JSON.parse(data) }));
+        });
+
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+describe("management API", () => {
+    before(async () => {
+        port = await getFreePort();
+
+        const result = managementApi.setManagementApiSettings({ enabled: true, port: port, token: TOKEN });
+        assert.strictEqual(result.success, true);
+
+        /* The server listens asynchronously */
+        for (let attempt = 0; attempt < 50; attempt++) {
+            try {
+                await request("GET", "/");
+                break;
+            } catch {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+        }
+    });
+
+    after(() => {
+        managementApi.stopManagementApi();
+
+        /* Writes the queued error of the failing route, instead of waiting for the write delay */
+        app.emit("will-quit");
+    });
+
+    describe("settings", () => {
+        it("refuses ports below 1024", () => {
+            const result = managementApi.setManagementApiSettings({ port: 80 });
+
+            assert.strictEqual(result.success, false);
+            assert.strictEqual(managementApi.getManagementApiSettings().port, port);
+        });
+
+        it("refuses short tokens", () => {
+            assert.strictEqual(managementApi.setManagementApiSettings({ token: "short" }).success, false);
+        });
+    });
+
+    describe("authentication", () => {
+        it("refuses requests without a token", async () => {
+            const response = await request("GET", "/api/device-info", { token: null });
+
+            assert.strictEqual(response.status, 401);
+        });
+
+        it("refuses requests with the wrong token", async () => {
+            const response = await request("GET", "/api/device-info", { token: TOKEN.replace("0", "1") });
+
+            assert.strictEqual(response.status, 401);
+        });
+    });
+
+    describe("routing", () => {
+        it("returns the result of the route", async () => {
+            mock.method(managementApi.routes, "GET /api/device-info", () => ({ name: "Lobby" }));
+
+            const response = await request("GET", "/api/device-info?refresh=1");
+
+            assert.deepStrictEqual(response, { status: 200, data: { name: "Lobby" } });
+        });
+
+        it("returns success for routes without a result", async () => {
+            mock.method(managementApi.routes, "POST /api/update", () => undefined);
+
+            const response = await request("POST", "/api/update");
+
+            assert.deepStrictEqual(response, { status: 200, data: { success: true } });
+        });
+
+        it("passes the parsed body to the route", async () => {
+            const route = mock.method(managementApi.routes, "PUT /api/rotation", (body) => ({ success: true, rotation: body.rotation }));
+
+            const response = await request("PUT", "/api/rotation", { body: JSON.stringify({ rotation: "left" }) });
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(route.mock.calls[0].arguments, [{ rotation: "left" }]);
+        });
+
+        it("returns 404 for unknown routes and methods", async () => {
+            assert.strictEqual((await request("GET", "/api/unknown")).status, 404);
+            assert.strictEqual((await request("DELETE", "/api/device-info")).status, 404);
+        });
+
+        it("returns 500 when a route fails", async () => {
+            mock.method(managementApi.routes, "GET /api/system-stats", () => {
+                throw new Error("No stats");
+            });
+
+            const response = await request("GET", "/api/system-stats");
+
+            assert.deepStrictEqual(response, { status: 500, data: { error: "No stats" } });
+        });
+    });
+
+    describe("request bodies", () => {
+        it("refuses bodies larger than 64 KB", async () => {
+            const route = mock.method(managementApi.routes, "PUT /api/host", () => ({ success: true }));
+
+            const response = await request("PUT", "/api/host", { body: JSON.stringify({ host: "a".repeat(70 * 1024) }) });
+
+            assert.strictEqual(response.status, 413);
+            assert.strictEqual(route.mock.callCount(), 0);
+        });
+
+        it("refuses invalid JSON", async () => {
+            const response = await request("PUT", "/api/host", { body: "{host:" });
+
+            assert.deepStrictEqual(response, { status: 400, data: { error: "Request body is not valid JSON" } });
+        });
+
+        it("refuses bodies that are not a JSON object", async () => {
+            for (const body of ["null", "[]", '"example.com"', "42"]) {
+                const response = await request("PUT", "/api/host", { body: body });
+
+                assert.strictEqual(response.status, 400, body);
+            }
+        });
+
+        it("refuses to connect to a network without an SSID", async () => {
+            const connect = mock.method(NetworkManager, "connectToNetwork", async () => ({ success: true }));
+
+            const response = await request("POST", "/api/networks/connect", { body: JSON.stringify({ password: "secret" }) });
+
+            assert.deepStrictEqual(response, { status: 400, data: { error: "Missing ssid" } });
+            assert.strictEqual(connect.mock.callCount(), 0);
+        });
+
+        it("connects to a network with an SSID", async () => {
+            const connect = mock.method(NetworkManager, "connectToNetwork", async () => ({ success: true }));
+
+            const response = await request("POST", "/api/networks/connect", { body: JSON.stringify({ ssid: "Office", password: "secret" }) });
+
+            assert.deepStrictEqual(response, { status: 200, data: { success: true } });
+            assert.deepStrictEqual(connect.mock.calls[0].arguments, [{ ssid: "Office", password: "secret" }]);
+        });
+    });
+});
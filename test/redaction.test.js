@@ -0,0 +1,84 @@
+require("./helpers/electron");
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { exec } = require("child_process");
+const { promisify } = require("util");
+const path = require("path");
+const fs = require("fs");
+
+const { redactCommandError } = require("../src/main/utils");
+const logFile = require("../src/main/logFile");
+
+const PASSWORD = "hunter2-secret";
+
+/* The error `executeCommand` gets, with `stdout` and `stderr` */
+function execError(command) {
+    return promisify(exec)(command).catch((error) => error);
+}
+
+describe("redactCommandError", () => {
+    it("replaces the command line with the type of command", async () => {
+        const error = await execError(`echo "no network" >&2; echo ${PASSWORD} > /dev/null; exit 3`);
+        const redacted = redactCommandError(error, "connect to network");
+
+        assert.match(error.message, new RegExp(PASSWORD));
+        assert.strictEqual(redacted.message, "connect to network failed: no network");
+        assert.doesNotMatch(redacted.message, new RegExp(PASSWORD));
+    });
+
+    it("keeps the code, signal and output of the error", async () => {
+        const error = await execError("echo out; echo err >&2; exit 3");
+        const redacted = redactCommandError(error, null);
+
+        assert.strictEqual(redacted.message, "Command failed: err");
+        assert.strictEqual(redacted.code, 3);
+        assert.strictEqual(redacted.signal, null);
+        assert.strictEqual(redacted.stdout, "out\n");
+        assert.strictEqual(redacted.stderr, "err\n");
+    });
+
+    it("leaves out empty standard error", async () => {
+        const error = await execError("exit 1");
+
+        assert.strictEqual(redactCommandError(error, "reboot").message, "reboot failed");
+    });
+});
+
+describe("log redaction", () => {
+    const commandError = `Command failed: nmcli dev wifi connect Office password ${PASSWORD}\nError: No network with SSID 'Office' found.`;
+
+    it("redacts entries when they are written", () => {
+        logFile.writeLogEntry({ level: "error", namespace: "network", message: commandError });
+
+        const logged = fs.readFileSync(path.join(logFile.getLogDirectory(), "player.log"), "utf8");
+
+        assert.doesNotMatch(logged, new RegExp(PASSWORD));
+        assert.match(logged, /Command failed: \[redacted\]\\nError: No network/);
+    });
+
+    it("redacts entries from older versions when they are read and exported", () => {
+        const file = path.join(logFile.getLogDirectory(), "player.log");
+
+        fs.appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), level: "error", namespace: "network", message: commandError }) + "\n");
+        fs.appendFileSync(file, `${commandError.split("\n")[0]}\n`);
+
+        const entries = logFile.readLogEntries({ namespace: "network" });
+
+        assert.strictEqual(entries.length, 2);
+        entries.forEach((entry) => {
+            assert.strictEqual(entry.message, "Command failed: [redacted]\nError: No network with SSID 'Office' found.");
+        });
+
+        const exported = logFile.exportLogs();
+
+        assert.doesNotMatch(exported, new RegExp(PASSWORD));
+        assert.strictEqual(exported.match(/Command failed: \[redacted\]/g).length, 3);
+        assert.match(exported, /^Command failed: \[redacted\]$/m);
+    });
+
+    it("leaves entries without a message as they are", () => {
+        const entry = { level: "info", namespace: "network", fields: { ssid: "Office" } };
+
+        assert.strictEqual(logFile.redactEntry(entry), entry);
+    });
+});
@@ -0,0 +1,94 @@
+const { app } = require("./helpers/electron");
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const fs = require("fs");
+
+/* Settings as stored by a version from before the migrations, with one value the schema does not accept */
+fs.writeFileSync(
+    path.join(app.getPath("userData"), "config.json"),
+    JSON.stringify({ host: " https://Example.com/player ", devMode: "true", firstTime: "false", lang: "sv", logLevel: "debug" })
+);
+
+const { store, validateSetting, normalizeHost } = require("../src/main/store");
+
+describe("store migrations", () => {
+    it("normalizes a host stored as typed in", () => {
+        assert.strictEqual(store.get("host"), "Example.com");
+    });
+
+    it("converts booleans stored as strings", () => {
+        assert.strictEqual(store.get("devMode"), true);
+        assert.strictEqual(store.get("firstTime"), false);
+    });
+
+    it("removes invalid settings, so their default is used", () => {
+        assert.strictEqual(store.has("lang"), false);
+        assert.strictEqual(store.get("lang"), "en");
+    });
+
+    it("keeps valid settings", () => {
+        assert.strictEqual(store.get("logLevel"), "debug");
+    });
+
+    it("stores the settings version", () => {
+        assert.strictEqual(store.get("settingsVersion"), 1);
+    });
+});
+
+describe("store", () => {
+    it("refuses to store an invalid value", () => {
+        assert.throws(() => store.set("logLevel", "verbose"), /Invalid logLevel/);
+        assert.strictEqual(store.get("logLevel"), "debug");
+    });
+
+    it("returns a copy of the default, so it can not be changed by accident", () => {
+        store.get("displays").changed = true;
+
+        assert.deepStrictEqual(store.get("displays"), {});
+    });
+});
+
+describe("validateSetting", () => {
+    it("accepts valid values", () => {
+        assert.strictEqual(validateSetting("host", "app.pintomind.com:8443"), null);
+        assert.strictEqual(validateSetting("dns", "1.1.1.1, 8.8.8.8"), null);
+        assert.strictEqual(validateSetting("maintenanceWindow", { enabled: true, start: "02:00", end: "05:00" }), null);
+        assert.strictEqual(validateSetting("updateChannel", { channel: "pinned", version: null }), null);
+    });
+
+    it("does not validate settings that are not in the schema", () => {
+        assert.strictEqual(validateSetting("somethingElse", 42), null);
+    });
+
+    it("checks the type", () => {
+        assert.strictEqual(validateSetting("devMode", "true"), 'Invalid devMode: "true". It must be a boolean');
+        assert.strictEqual(validateSetting("watchdogRestarts", 1.5), "Invalid watchdogRestarts: 1.5. It must be an integer");
+        assert.strictEqual(validateSetting("displays", []), "Invalid displays: []. It must be a object");
+    });
+
+    it("checks enums, patterns and ranges", () => {
+        assert.match(validateSetting("lang", "sv"), /Valid values are: en, nb/);
+        assert.strictEqual(validateSetting("host", "https://example.com"), 'Invalid host: "https://example.com"');
+        assert.strictEqual(validateSetting("dns", "1.1.1"), 'Invalid dns: "1.1.1"');
+        assert.strictEqual(validateSetting("watchdogRestarts", -1), "Invalid watchdogRestarts: -1. It must be at least 0");
+    });
+
+    it("checks the properties of objects", () => {
+        assert.strictEqual(validateSetting("maintenanceWindow", { start: "25:00" }), 'Invalid maintenanceWindow.start: "25:00"');
+        assert.strictEqual(validateSetting("managementApi", { port: 70000 }), "Invalid managementApi.port: 70000. It must be at most 65535");
+    });
+
+    it("accepts null only where the schema allows it", () => {
+        assert.strictEqual(validateSetting("managementApi", { token: null }), null);
+        assert.strictEqual(validateSetting("host", null), "Invalid host: null. It must be a string");
+    });
+});
+
+describe("normalizeHost", () => {
+    it("reduces a url to its host", () => {
+        assert.strictEqual(normalizeHost("https://app.pintomind.com/live/"), "app.pintomind.com");
+        assert.strictEqual(normalizeHost("  http://example.com:8080  "), "example.com:8080");
+        assert.strictEqual(normalizeHost("example.com"), "example.com");
+    });
+});
@@ -0,0 +1,79 @@
+require("./helpers/electron");
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const { parseWiFiScanResults, getWiFiBand } = require("../src/main/utils");
+
+const SCAN = [
+    "SSID:Office",
+    "SECURITY:WPA2",
+    "SIGNAL:40",
+    "FREQ:2437 MHz",
+    "CHAN:6",
+    "BSSID:AA\\:BB\\:CC\\:DD\\:EE\\:01",
+    "SSID:Office",
+    "SECURITY:WPA2",
+    "SIGNAL:72",
+    "FREQ:5180 MHz",
+    "CHAN:36",
+    "BSSID:AA\\:BB\\:CC\\:DD\\:EE\\:02",
+    "SSID:",
+    "SECURITY:WPA2",
+    "SIGNAL:90",
+    "FREQ:2412 MHz",
+    "CHAN:1",
+    "BSSID:AA\\:BB\\:CC\\:DD\\:EE\\:03",
+    "SSID:Guest: Lobby",
+    "SECURITY:",
+    "SIGNAL:55",
+    "FREQ:5975 MHz",
+    "CHAN:5",
+    "BSSID:AA\\:BB\\:CC\\:DD\\:EE\\:04",
+].join("\n");
+
+describe("parseWiFiScanResults", () => {
+    it("groups access points by SSID, strongest network first", () => {
+        assert.deepStrictEqual(parseWiFiScanResults(SCAN, ["Office"]), [
+            { ssid: "Office", security: "WPA2", signal: 72, band: "5 GHz", channel: 36, bssidCount: 2, saved: true },
+            { ssid: "Guest: Lobby", security: "", signal: 55, band: "6 GHz", channel: 5, bssidCount: 1, saved: false },
+        ]);
+    });
+
+    it("counts every access point when the strongest comes first", () => {
+        const scan = "SSID:Office\nSIGNAL:80\nFREQ:2412 MHz\nCHAN:1\nSSID:Office\nSIGNAL:20\nFREQ:5180 MHz\nCHAN:36";
+        const [network] = parseWiFiScanResults(scan);
+
+        assert.strictEqual(network.signal, 80);
+        assert.strictEqual(network.band, "2.4 GHz");
+        assert.strictEqual(network.bssidCount, 2);
+    });
+
+    it("ignores hidden networks", () => {
+        assert.deepStrictEqual(parseWiFiScanResults("SSID:\nSIGNAL:90\nFREQ:2412 MHz"), []);
+    });
+
+    it("returns no networks for empty output", () => {
+        assert.deepStrictEqual(parseWiFiScanResults(""), []);
+    });
+
+    it("uses null for missing values", () => {
+        assert.deepStrictEqual(parseWiFiScanResults("SSID:Office"), [
+            { ssid: "Office", security: "", signal: 0, band: null, channel: null, bssidCount: 1, saved: false },
+        ]);
+    });
+});
+
+describe("getWiFiBand", () => {
+    it("returns the band of a frequency", () => {
+        assert.strictEqual(getWiFiBand(2412), "2.4 GHz");
+        assert.strictEqual(getWiFiBand(2484), "2.4 GHz");
+        assert.strictEqual(getWiFiBand(5180), "5 GHz");
+        assert.strictEqual(getWiFiBand(5885), "5 GHz");
+        assert.strictEqual(getWiFiBand(5955), "6 GHz");
+    });
+
+    it("returns null for an unknown frequency", () => {
+        assert.strictEqual(getWiFiBand(0), null);
+        assert.strictEqual(getWiFiBand(900), null);
+    });
+});